@@ -26,4 +26,12 @@ module.exports = {
 		],
 		'lines-between-class-members': ['warn', 'always'],
 	},
+	overrides: [
+		{
+			// scripts that run in Node rather than in the browser
+			files: ['realmeasure/relay/**/*.mjs', 'realmeasure/scripts/**/*.mjs'],
+			env: { node: true },
+			parserOptions: { ecmaVersion: 2022 },
+		},
+	],
 };
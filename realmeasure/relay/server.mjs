@@ -0,0 +1,216 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * A local stand-in for the relay that lets headsets share measurements. It
+ * speaks just enough of the WebSocket protocol for RealMeasure, using only
+ * Node built-ins: every client joins a room, gets a color slot nobody else in
+ * the room holds, and the measurement changes it sends are passed on to the
+ * others in the room with its user ID. Nothing is stored, the headsets hold
+ * the measurements.
+ *
+ * Run it with `npm run relay`, the development server forwards `/relay` to it.
+ */
+
+import { createHash } from 'node:crypto';
+import { createServer } from 'node:http';
+
+const PORT = Number(process.env.PORT ?? 8082);
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 1 << 20;
+// status code of the Close frame sent when a message is over MAX_MESSAGE_SIZE
+const MESSAGE_TOO_BIG = 1009;
+
+const OPCODES = {
+	Continuation: 0x0,
+	Text: 0x1,
+	Close: 0x8,
+	Ping: 0x9,
+	Pong: 0xa,
+};
+
+// only these are passed on, the rest of the protocol comes from the relay
+const RELAYED_TYPES = new Set(['upsert', 'remove']);
+
+const rooms = new Map();
+
+const encodeFrame = (opcode, payload) => {
+	const length = payload.length;
+	let header;
+	if (length < 126) {
+		header = Buffer.from([0x80 | opcode, length]);
+	} else if (length < 1 << 16) {
+		header = Buffer.alloc(4);
+		header.writeUInt8(0x80 | opcode, 0);
+		header.writeUInt8(126, 1);
+		header.writeUInt16BE(length, 2);
+	} else {
+		header = Buffer.alloc(10);
+		header.writeUInt8(0x80 | opcode, 0);
+		header.writeUInt8(127, 1);
+		header.writeBigUInt64BE(BigInt(length), 2);
+	}
+	return Buffer.concat([header, payload]);
+};
+
+/**
+ * Reads the first complete frame off a buffer, returning null while more
+ * bytes are needed. Frames from browsers are always masked.
+ */
+const decodeFrame = (buffer) => {
+	if (buffer.length < 2) return null;
+	const fin = (buffer[0] & 0x80) !== 0;
+	const opcode = buffer[0] & 0x0f;
+	const masked = (buffer[1] & 0x80) !== 0;
+	let length = buffer[1] & 0x7f;
+	let offset = 2;
+	if (length === 126) {
+		if (buffer.length < 4) return null;
+		length = buffer.readUInt16BE(2);
+		offset = 4;
+	} else if (length === 127) {
+		if (buffer.length < 10) return null;
+		length = Number(buffer.readBigUInt64BE(2));
+		offset = 10;
+	}
+	if (length > MAX_MESSAGE_SIZE) throw new Error('frame too large');
+	const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+	if (masked) offset += 4;
+	if (buffer.length < offset + length) return null;
+	const payload = Buffer.from(buffer.subarray(offset, offset + length));
+	if (mask) {
+		for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+	}
+	return { fin, opcode, payload, size: offset + length };
+};
+
+const send = (client, message) => {
+	if (client.socket.destroyed) return;
+	client.socket.write(
+		encodeFrame(OPCODES.Text, Buffer.from(JSON.stringify(message))),
+	);
+};
+
+const broadcast = (sender, message) => {
+	rooms.get(sender.room)?.forEach((client) => {
+		if (client !== sender) send(client, message);
+	});
+};
+
+const join = (client, { room, user }) => {
+	if (client.room || typeof room !== 'string' || typeof user !== 'string') {
+		return;
+	}
+	if (!rooms.has(room)) rooms.set(room, new Set());
+	const clients = rooms.get(room);
+	const slots = new Set([...clients].map(({ slot }) => slot));
+	client.room = room;
+	client.user = user;
+	client.slot = 0;
+	while (slots.has(client.slot)) client.slot++;
+	send(client, {
+		type: 'welcome',
+		slot: client.slot,
+		peers: [...clients].map(({ user, slot }) => ({ user, slot })),
+	});
+	clients.add(client);
+	broadcast(client, { type: 'peer-joined', user, slot: client.slot });
+	console.log(`${user} joined ${room} (${clients.size} connected)`);
+};
+
+const leave = (client) => {
+	const clients = rooms.get(client.room);
+	if (!clients?.delete(client)) return;
+	broadcast(client, { type: 'peer-left', user: client.user });
+	if (clients.size === 0) rooms.delete(client.room);
+	console.log(`${client.user} left ${client.room} (${clients.size} connected)`);
+};
+
+const receive = (client, text) => {
+	let message;
+	try {
+		message = JSON.parse(text);
+	} catch (e) {
+		console.warn('Failed to read message:', e);
+		return;
+	}
+	if (message?.type === 'join') {
+		join(client, message);
+	} else if (client.room && RELAYED_TYPES.has(message?.type)) {
+		broadcast(client, { ...message, from: client.user });
+	}
+};
+
+const server = createServer((_request, response) => {
+	response.writeHead(426, { 'Content-Type': 'text/plain' });
+	response.end('RealMeasure relay, connect with a WebSocket\n');
+});
+
+server.on('upgrade', (request, socket, head) => {
+	const key = request.headers['sec-websocket-key'];
+	if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+		socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+		return;
+	}
+	const accept = createHash('sha1')
+		.update(key + WEBSOCKET_GUID)
+		.digest('base64');
+	socket.write(
+		'HTTP/1.1 101 Switching Protocols\r\n' +
+			'Upgrade: websocket\r\n' +
+			'Connection: Upgrade\r\n' +
+			`Sec-WebSocket-Accept: ${accept}\r\n\r\n`,
+	);
+	socket.setNoDelay(true);
+
+	const client = { socket, room: null, user: null, slot: null };
+	let buffer = Buffer.alloc(0);
+	let fragments = [];
+	let fragmentsSize = 0;
+	const receiveData = (data) => {
+		buffer = Buffer.concat([buffer, data]);
+		try {
+			let frame;
+			while ((frame = decodeFrame(buffer))) {
+				buffer = buffer.subarray(frame.size);
+				const { fin, opcode, payload } = frame;
+				if (opcode === OPCODES.Close) {
+					socket.end(encodeFrame(OPCODES.Close, Buffer.alloc(0)));
+					return;
+				} else if (opcode === OPCODES.Ping) {
+					socket.write(encodeFrame(OPCODES.Pong, payload));
+				} else if (opcode === OPCODES.Text || opcode === OPCODES.Continuation) {
+					fragments.push(payload);
+					fragmentsSize += payload.length;
+					if (fragmentsSize > MAX_MESSAGE_SIZE) {
+						const status = Buffer.alloc(2);
+						status.writeUInt16BE(MESSAGE_TOO_BIG, 0);
+						socket.end(encodeFrame(OPCODES.Close, status));
+						return;
+					}
+					if (fin) {
+						receive(client, Buffer.concat(fragments).toString('utf8'));
+						fragments = [];
+						fragmentsSize = 0;
+					}
+				}
+			}
+		} catch (e) {
+			console.warn('Failed to read frame:', e);
+			socket.destroy();
+		}
+	};
+	socket.on('data', receiveData);
+	// frames that arrived along with the handshake
+	if (head.length > 0) receiveData(head);
+	socket.on('close', () => leave(client));
+	socket.on('error', () => socket.destroy());
+});
+
+server.listen(PORT, () => {
+	console.log(`RealMeasure relay listening on ws://localhost:${PORT}`);
+});
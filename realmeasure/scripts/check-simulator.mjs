@@ -0,0 +1,137 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Runs the simulator checks of src/checks.js in a headless Chrome. The built
+ * app in dist/ is served over plain HTTP on localhost, which browsers treat
+ * as secure, and opened with `?simulator&checks`. Chrome dumps the page once
+ * its virtual time budget is spent, and the outcome the checks wrote into it
+ * decides the exit code.
+ *
+ * Run it with `npm run check:simulator`. Chrome is looked up on the PATH, or
+ * given with the CHROME_PATH environment variable.
+ */
+
+import { extname, join, normalize } from 'node:path';
+
+import { createServer } from 'node:http';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { readFile } from 'node:fs/promises';
+
+const DIST_DIRECTORY = fileURLToPath(new URL('../dist', import.meta.url));
+const VIRTUAL_TIME_BUDGET = 60000;
+const TIMEOUT = 180000;
+const CHROME_NAMES = [
+	'google-chrome',
+	'google-chrome-stable',
+	'chromium',
+	'chromium-browser',
+];
+const CONTENT_TYPES = {
+	'.html': 'text/html',
+	'.js': 'text/javascript',
+	'.json': 'application/json',
+	'.png': 'image/png',
+	'.glb': 'model/gltf-binary',
+	'.wasm': 'application/wasm',
+};
+const CHECKS_PATTERN = /<pre id="simulator-checks">([\s\S]*?)<\/pre>/;
+
+const unescapeHTML = (text) =>
+	text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+const serveDist = () =>
+	new Promise((resolve) => {
+		const server = createServer(async (request, response) => {
+			const pathname = new URL(request.url, 'http://localhost').pathname;
+			const file = normalize(
+				join(DIST_DIRECTORY, pathname === '/' ? 'index.html' : pathname),
+			);
+			try {
+				if (!file.startsWith(DIST_DIRECTORY)) throw new Error('outside dist');
+				const content = await readFile(file);
+				response.writeHead(200, {
+					'Content-Type':
+						CONTENT_TYPES[extname(file)] ?? 'application/octet-stream',
+				});
+				response.end(content);
+			} catch {
+				response.writeHead(404);
+				response.end();
+			}
+		});
+		server.listen(0, 'localhost', () => resolve(server));
+	});
+
+const runChrome = (chrome, url) =>
+	new Promise((resolve, reject) => {
+		execFile(
+			chrome,
+			[
+				'--headless=new',
+				'--no-sandbox',
+				'--use-angle=swiftshader',
+				'--enable-unsafe-swiftshader',
+				`--virtual-time-budget=${VIRTUAL_TIME_BUDGET}`,
+				'--dump-dom',
+				url,
+			],
+			{ timeout: TIMEOUT, maxBuffer: 16 << 20 },
+			(error, stdout) => (error ? reject(error) : resolve(stdout)),
+		);
+	});
+
+const findChrome = async () => {
+	if (process.env.CHROME_PATH) return process.env.CHROME_PATH;
+	for (const name of CHROME_NAMES) {
+		try {
+			await new Promise((resolve, reject) => {
+				execFile(name, ['--version'], (error) =>
+					error ? reject(error) : resolve(),
+				);
+			});
+			return name;
+		} catch {
+			// try the next name
+		}
+	}
+	return null;
+};
+
+const chrome = await findChrome();
+if (!chrome) {
+	console.error('Chrome was not found, set CHROME_PATH to its executable');
+	process.exit(1);
+}
+
+const server = await serveDist();
+const { port } = server.address();
+let outcome = null;
+try {
+	const dom = await runChrome(
+		chrome,
+		`http://localhost:${port}/?simulator&checks`,
+	);
+	const match = CHECKS_PATTERN.exec(dom);
+	if (match) outcome = JSON.parse(unescapeHTML(match[1]));
+} catch (e) {
+	console.error('Failed to run the simulator checks:', e);
+} finally {
+	server.close();
+}
+
+if (!outcome) {
+	console.error('The simulator checks did not finish');
+	process.exit(1);
+}
+outcome.results.forEach(({ name, passed, error }) => {
+	console.log(
+		`${passed ? 'PASS' : 'FAIL'} ${name}${error ? `: ${error}` : ''}`,
+	);
+});
+process.exit(outcome.passed ? 0 : 1);
@@ -0,0 +1,156 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+	DoubleSide,
+	MathUtils,
+	Matrix4,
+	Mesh,
+	MeshBasicMaterial,
+	RingGeometry,
+	Vector3,
+} from 'three';
+import {
+	MeasurementComponent,
+	PATH_TYPES,
+	collectPathVertices,
+} from './measurement';
+
+import { System } from 'elics';
+import { Text } from 'troika-three-text';
+import { globals } from './global';
+import { matchesLabelFilter } from './labels';
+
+const ARC_MAX_RADIUS = 0.05;
+const ARC_WIDTH = 0.002;
+const ARC_SEGMENTS = 32;
+const ARC_MATERIAL = new MeshBasicMaterial({
+	transparent: true,
+	opacity: 0.6,
+	side: DoubleSide,
+});
+
+/**
+ * Returns the angle in radians at the middle vertex of an [arm, vertex, arm]
+ * triplet.
+ */
+export const getVertexAngle = ([armStart, vertex, armEnd]) => {
+	const armA = new Vector3().subVectors(armStart, vertex);
+	const armB = new Vector3().subVectors(armEnd, vertex);
+	if (armA.lengthSq() === 0 || armB.lengthSq() === 0) return 0;
+	return armA.angleTo(armB);
+};
+
+/**
+ * AngleSystem draws an arc gizmo between the two arms of every angle path and
+ * labels it with the angle in degrees.
+ */
+export class AngleSystem extends System {
+	init() {
+		this._angles = new Map();
+		this._armA = new Vector3();
+		this._armB = new Vector3();
+		this._normal = new Vector3();
+		this._matrix = new Matrix4();
+	}
+
+	update() {
+		const { anchor, valueStore, playerHead } = globals;
+		if (!anchor) return;
+		const anglePaths = collectPathVertices(
+			this.getEntities(this.queries.measurements).map((measurement) =>
+				measurement.getComponent(MeasurementComponent),
+			),
+			PATH_TYPES.Angle,
+		);
+
+		this._angles.forEach((angle, pathId) => {
+			if (!anglePaths.has(pathId) || angle.arc.parent !== anchor) {
+				angle.arc.removeFromParent();
+				angle.arc.geometry.dispose();
+				angle.text.dispose();
+				this._angles.delete(pathId);
+			}
+		});
+
+		anglePaths.forEach(({ vertices, label }, pathId) => {
+			if (vertices.length < 3) return;
+			if (!this._angles.has(pathId)) {
+				const arc = new Mesh(new RingGeometry(), ARC_MATERIAL);
+				arc.matrixAutoUpdate = false;
+				arc.renderOrder = 2;
+				const text = new Text();
+				text.fontSize = 0.02;
+				text.anchorX = 'center';
+				text.anchorY = 'middle';
+				text.material.depthTest = false;
+				text.renderOrder = 999;
+				anchor.add(arc, text);
+				this._angles.set(pathId, { arc, text, key: null, drawable: false });
+			}
+			const angle = this._angles.get(pathId);
+			const key = vertices.map((vertex) => vertex.toArray().join()).join(';');
+			if (key !== angle.key) {
+				angle.key = key;
+				angle.drawable = this._updateGizmo(angle, vertices);
+			}
+			const shown = matchesLabelFilter(label, valueStore.get('labelFilter'));
+			angle.arc.visible = shown && angle.drawable;
+			angle.text.visible = shown;
+			angle.text.lookAt(playerHead.position);
+		});
+	}
+
+	_updateGizmo({ arc, text }, vertices) {
+		const [armStart, vertex, armEnd] = vertices;
+		this._armA.subVectors(armStart, vertex);
+		this._armB.subVectors(armEnd, vertex);
+		const radius = Math.min(
+			ARC_MAX_RADIUS,
+			this._armA.length() / 2,
+			this._armB.length() / 2,
+		);
+		const theta = getVertexAngle(vertices);
+		this._normal.crossVectors(this._armA, this._armB);
+		const drawable = radius > 0 && this._normal.lengthSq() > 0;
+
+		if (drawable) {
+			// the ring sweeps from its local X axis towards local Y, so X follows
+			// the first arm and Z the normal of the plane both arms lie in
+			this._armA.normalize();
+			this._normal.normalize();
+			this._armB.crossVectors(this._normal, this._armA);
+			this._matrix.makeBasis(this._armA, this._armB, this._normal);
+			this._matrix.setPosition(vertex);
+			arc.matrix.copy(this._matrix);
+			arc.geometry.dispose();
+			arc.geometry = new RingGeometry(
+				radius - ARC_WIDTH,
+				radius,
+				ARC_SEGMENTS,
+				1,
+				0,
+				theta,
+			);
+			text.position
+				.copy(this._armA)
+				.applyAxisAngle(this._normal, theta / 2)
+				.multiplyScalar(radius + 0.02)
+				.add(vertex);
+		} else {
+			text.position.copy(vertex);
+			text.position.y += 0.02;
+		}
+		text.text = MathUtils.radToDeg(theta).toFixed(1) + '°';
+		text.sync();
+		return drawable;
+	}
+}
+
+AngleSystem.queries = {
+	measurements: { required: [MeasurementComponent] },
+};
@@ -0,0 +1,158 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+	BufferGeometry,
+	DoubleSide,
+	Float32BufferAttribute,
+	Mesh,
+	MeshBasicMaterial,
+	ShapeUtils,
+	Vector2,
+	Vector3,
+} from 'three';
+import {
+	MeasurementComponent,
+	PATH_TYPES,
+	collectPathVertices,
+} from './measurement';
+
+import { System } from 'elics';
+import { Text } from 'troika-three-text';
+import { formatArea } from './units';
+import { globals } from './global';
+import { matchesLabelFilter } from './labels';
+
+const AREA_MATERIAL = new MeshBasicMaterial({
+	transparent: true,
+	opacity: 0.25,
+	side: DoubleSide,
+	depthWrite: false,
+});
+
+/**
+ * Returns the normal of a planar polygon scaled to twice its area (Newell's
+ * method), which works regardless of the plane the polygon lies in.
+ */
+export const getPolygonNormal = (vertices, target = new Vector3()) => {
+	target.set(0, 0, 0);
+	vertices.forEach((current, i) => {
+		const next = vertices[(i + 1) % vertices.length];
+		target.x += (current.y - next.y) * (current.z + next.z);
+		target.y += (current.z - next.z) * (current.x + next.x);
+		target.z += (current.x - next.x) * (current.y + next.y);
+	});
+	return target;
+};
+
+export const getPolygonArea = (vertices) =>
+	getPolygonNormal(vertices).length() / 2;
+
+export const getPolygonPerimeter = (vertices) =>
+	vertices.reduce(
+		(sum, vertex, i) =>
+			sum + vertex.distanceTo(vertices[(i + 1) % vertices.length]),
+		0,
+	);
+
+const createPolygonGeometry = (vertices, normal) => {
+	const u = new Vector3(1, 0, 0);
+	if (Math.abs(normal.dot(u)) > 0.9) u.set(0, 0, 1);
+	u.projectOnPlane(normal).normalize();
+	const v = new Vector3().crossVectors(normal, u);
+	const contour = vertices.map(
+		(vertex) => new Vector2(vertex.dot(u), vertex.dot(v)),
+	);
+	const faces = ShapeUtils.triangulateShape(contour, []);
+	const geometry = new BufferGeometry();
+	geometry.setAttribute(
+		'position',
+		new Float32BufferAttribute(
+			vertices.flatMap((vertex) => vertex.toArray()),
+			3,
+		),
+	);
+	geometry.setIndex(faces.flat());
+	return geometry;
+};
+
+/**
+ * AreaSystem fills area paths with a translucent polygon and labels it with
+ * the enclosed area, keeping both in sync with the path segments.
+ */
+export class AreaSystem extends System {
+	init() {
+		this._areas = new Map();
+		this._normal = new Vector3();
+		this._centroid = new Vector3();
+	}
+
+	update() {
+		const { anchor, valueStore, playerHead } = globals;
+		if (!anchor) return;
+		const unit = valueStore.get('unit');
+		const areaPaths = collectPathVertices(
+			this.getEntities(this.queries.measurements).map((measurement) =>
+				measurement.getComponent(MeasurementComponent),
+			),
+			PATH_TYPES.Area,
+		);
+
+		this._areas.forEach((area, pathId) => {
+			if (!areaPaths.has(pathId) || area.mesh.parent !== anchor) {
+				area.mesh.removeFromParent();
+				area.mesh.geometry.dispose();
+				area.text.dispose();
+				this._areas.delete(pathId);
+			}
+		});
+
+		areaPaths.forEach(({ vertices, label }, pathId) => {
+			if (vertices.length < 3) return;
+			if (!this._areas.has(pathId)) {
+				const mesh = new Mesh(new BufferGeometry(), AREA_MATERIAL);
+				const text = new Text();
+				text.fontSize = 0.025;
+				text.anchorX = 'center';
+				text.anchorY = 'middle';
+				text.material.depthTest = false;
+				text.renderOrder = 999;
+				mesh.add(text);
+				anchor.add(mesh);
+				this._areas.set(pathId, { mesh, text, key: null });
+			}
+			const area = this._areas.get(pathId);
+			const key =
+				vertices.map((vertex) => vertex.toArray().join()).join(';') + unit;
+			if (key !== area.key) {
+				area.key = key;
+				getPolygonNormal(vertices, this._normal);
+				const areaSize = this._normal.length() / 2;
+				if (areaSize > 0) {
+					this._normal.normalize();
+					area.mesh.geometry.dispose();
+					area.mesh.geometry = createPolygonGeometry(vertices, this._normal);
+				}
+				this._centroid.set(0, 0, 0);
+				vertices.forEach((vertex) => this._centroid.add(vertex));
+				this._centroid.divideScalar(vertices.length);
+				area.text.position.copy(this._centroid);
+				area.text.text = formatArea(areaSize, unit);
+				area.text.sync();
+			}
+			area.mesh.visible = matchesLabelFilter(
+				label,
+				valueStore.get('labelFilter'),
+			);
+			area.text.lookAt(playerHead.position);
+		});
+	}
+}
+
+AreaSystem.queries = {
+	measurements: { required: [MeasurementComponent] },
+};
@@ -0,0 +1,144 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+	BufferGeometry,
+	LineBasicMaterial,
+	LineSegments,
+	Vector3,
+} from 'three';
+import {
+	MeasurementComponent,
+	PATH_TYPES,
+	collectPathVertices,
+} from './measurement';
+
+import { System } from 'elics';
+import { Text } from 'troika-three-text';
+import { formatVolume } from './units';
+import { globals } from './global';
+import { matchesLabelFilter } from './labels';
+
+const BOX_MATERIAL = new LineBasicMaterial({
+	transparent: true,
+	opacity: 0.6,
+});
+
+// pairs of corner indices, where bit 0, 1 and 2 of a corner index select the
+// far side along the width, depth and height edge respectively
+const BOX_EDGES = [
+	[0, 1],
+	[2, 3],
+	[4, 5],
+	[6, 7],
+	[0, 2],
+	[1, 3],
+	[4, 6],
+	[5, 7],
+	[0, 4],
+	[1, 5],
+	[2, 6],
+	[3, 7],
+];
+
+/**
+ * Returns the width, depth and height edges of a box path, whose four vertices
+ * chain the three edges from one corner.
+ */
+export const getBoxEdges = (vertices) =>
+	[0, 1, 2].map((i) => new Vector3().subVectors(vertices[i + 1], vertices[i]));
+
+/**
+ * Returns the volume spanned by the three edges of a box path. Boxes drawn in
+ * Box mode are rectangular, and EditSystem keeps them so while dragging.
+ */
+export const getBoxVolume = (vertices) => {
+	const [width, depth, height] = getBoxEdges(vertices);
+	return Math.abs(width.dot(new Vector3().crossVectors(depth, height)));
+};
+
+const getBoxCorners = (vertices) => {
+	const edges = getBoxEdges(vertices);
+	return [0, 1, 2, 3, 4, 5, 6, 7].map((corner) => {
+		const position = vertices[0].clone();
+		edges.forEach((edge, axis) => {
+			if (corner & (1 << axis)) position.add(edge);
+		});
+		return position;
+	});
+};
+
+/**
+ * BoxSystem draws the wireframe of every box path once its height is being
+ * measured and labels the box with its volume.
+ */
+export class BoxSystem extends System {
+	init() {
+		this._boxes = new Map();
+	}
+
+	update() {
+		const { anchor, valueStore, playerHead } = globals;
+		if (!anchor) return;
+		const unit = valueStore.get('unit');
+		const boxPaths = collectPathVertices(
+			this.getEntities(this.queries.measurements).map((measurement) =>
+				measurement.getComponent(MeasurementComponent),
+			),
+			PATH_TYPES.Box,
+		);
+
+		this._boxes.forEach((box, pathId) => {
+			const vertices = boxPaths.get(pathId)?.vertices;
+			if (vertices?.length !== 4 || box.wireframe.parent !== anchor) {
+				box.wireframe.removeFromParent();
+				box.wireframe.geometry.dispose();
+				box.text.dispose();
+				this._boxes.delete(pathId);
+			}
+		});
+
+		boxPaths.forEach(({ vertices, label }, pathId) => {
+			if (vertices.length !== 4) return;
+			if (!this._boxes.has(pathId)) {
+				const wireframe = new LineSegments(new BufferGeometry(), BOX_MATERIAL);
+				const text = new Text();
+				text.fontSize = 0.025;
+				text.anchorX = 'center';
+				text.anchorY = 'middle';
+				text.material.depthTest = false;
+				text.renderOrder = 999;
+				wireframe.add(text);
+				anchor.add(wireframe);
+				this._boxes.set(pathId, { wireframe, text, key: null });
+			}
+			const box = this._boxes.get(pathId);
+			const key =
+				vertices.map((vertex) => vertex.toArray().join()).join(';') + unit;
+			if (key !== box.key) {
+				box.key = key;
+				const corners = getBoxCorners(vertices);
+				box.wireframe.geometry.dispose();
+				box.wireframe.geometry = new BufferGeometry().setFromPoints(
+					BOX_EDGES.flatMap(([a, b]) => [corners[a], corners[b]]),
+				);
+				box.text.position.lerpVectors(corners[0], corners[7], 0.5);
+				box.text.text = formatVolume(getBoxVolume(vertices), unit);
+				box.text.sync();
+			}
+			box.wireframe.visible = matchesLabelFilter(
+				label,
+				valueStore.get('labelFilter'),
+			);
+			box.text.lookAt(playerHead.position);
+		});
+	}
+}
+
+BoxSystem.queries = {
+	measurements: { required: [MeasurementComponent] },
+};
@@ -0,0 +1,227 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { Matrix3, Vector3 } from 'three';
+
+import { System } from 'elics';
+import { XR_BUTTONS } from 'gamepad-wrapper';
+import { createControllerHint } from './panel';
+import { globals } from './global';
+
+const STORAGE_KEY = 'realmeasure:calibration';
+const CALIBRATION_SAMPLES = 4;
+const MAX_RESIDUAL = 0.005;
+const MAX_OFFSET = 0.3;
+const MIN_PIVOT = 1e-6;
+
+// where the pointer sits on the right Touch controller, mirrored for the left
+const DEFAULT_POINTER_OFFSET = [
+	0.0074962213231061225, -0.06522086887323097, 0.10447758896833176,
+];
+
+const getCalibrationKey = (controller, handedness) =>
+	`${controller.profile ?? 'unknown'}:${handedness}`;
+
+const loadCalibrations = () => {
+	try {
+		return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+	} catch (e) {
+		console.warn('Failed to load calibration:', e);
+		return {};
+	}
+};
+
+const saveCalibration = (key, offset) => {
+	try {
+		const calibrations = loadCalibrations();
+		if (offset) {
+			calibrations[key] = offset;
+		} else {
+			delete calibrations[key];
+		}
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(calibrations));
+	} catch (e) {
+		console.warn('Failed to save calibration:', e);
+	}
+};
+
+/**
+ * Returns the pointer offset in the target ray space of a controller, as
+ * calibrated for its model and hand or the default one.
+ */
+export const getPointerOffset = (controller, handedness, target) => {
+	const calibrated =
+		loadCalibrations()[getCalibrationKey(controller, handedness)];
+	if (calibrated) return target.fromArray(calibrated);
+	return target
+		.fromArray(DEFAULT_POINTER_OFFSET)
+		.multiply(new Vector3(handedness === 'left' ? -1 : 1, 1, 1));
+};
+
+/**
+ * Solves a square linear system in place with Gaussian elimination and
+ * partial pivoting, returns null when it is close to singular.
+ */
+const solveLinearSystem = (matrix, vector) => {
+	const size = vector.length;
+	for (let col = 0; col < size; col++) {
+		let pivot = col;
+		for (let row = col + 1; row < size; row++) {
+			if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+				pivot = row;
+			}
+		}
+		if (Math.abs(matrix[pivot][col]) < MIN_PIVOT) return null;
+		[matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+		[vector[col], vector[pivot]] = [vector[pivot], vector[col]];
+		for (let row = col + 1; row < size; row++) {
+			const factor = matrix[row][col] / matrix[col][col];
+			for (let k = col; k < size; k++) {
+				matrix[row][k] -= factor * matrix[col][k];
+			}
+			vector[row] -= factor * vector[col];
+		}
+	}
+	const solution = new Array(size).fill(0);
+	for (let row = size - 1; row >= 0; row--) {
+		let sum = vector[row];
+		for (let k = row + 1; k < size; k++) sum -= matrix[row][k] * solution[k];
+		solution[row] = sum / matrix[row][row];
+	}
+	return solution;
+};
+
+/**
+ * Pivot calibration: given controller poses that all held the tip on the same
+ * fixed point, finds the tip offset in controller space and the fixed point in
+ * world space by least squares, R * offset + t = point for every pose.
+ */
+export const solvePivotCalibration = (matrices) => {
+	const normalMatrix = [...Array(6)].map(() => new Array(6).fill(0));
+	const normalVector = new Array(6).fill(0);
+	const rotation = new Matrix3();
+	const rows = [];
+	matrices.forEach((matrix) => {
+		const r = rotation.setFromMatrix4(matrix).elements;
+		const t = new Vector3().setFromMatrixPosition(matrix);
+		[0, 1, 2].forEach((axis) => {
+			// Matrix3 elements are column-major
+			const row = [r[axis], r[axis + 3], r[axis + 6], 0, 0, 0];
+			row[3 + axis] = -1;
+			rows.push({ row, value: -t.getComponent(axis) });
+		});
+	});
+	rows.forEach(({ row, value }) => {
+		for (let i = 0; i < 6; i++) {
+			for (let j = 0; j < 6; j++) normalMatrix[i][j] += row[i] * row[j];
+			normalVector[i] += row[i] * value;
+		}
+	});
+	const solution = solveLinearSystem(normalMatrix, normalVector);
+	if (!solution) return null;
+	const offset = new Vector3().fromArray(solution, 0);
+	const point = new Vector3().fromArray(solution, 3);
+	const residual = Math.sqrt(
+		matrices.reduce(
+			(sum, matrix) =>
+				sum + offset.clone().applyMatrix4(matrix).distanceToSquared(point),
+			0,
+		) / matrices.length,
+	);
+	return { offset, point, residual };
+};
+
+/**
+ * CalibrationSystem runs the Calibrate mode. The pointer is held on a fixed
+ * point, such as a table corner, and the trigger records the controller pose,
+ * tilting the controller differently each time. After four samples the tip
+ * offset is solved, stored for the controller model and hand, and used by
+ * PointerSystem from then on. BUTTON_1 restores the default offset.
+ */
+export class CalibrationSystem extends System {
+	init() {
+		this._vec3 = new Vector3();
+	}
+
+	update() {
+		const { valueStore, controllers } = globals;
+		const active = valueStore.get('mode') === 'Calibrate';
+		['left', 'right'].forEach((handedness) => {
+			const controller = controllers[handedness];
+			if (!controller?.pointerSpace || controller.hand) return;
+
+			const { userData, gamepad, raySpace } = controller;
+			if (!userData.calibrationText) {
+				const text = createControllerHint(raySpace);
+				userData.calibrationText = text;
+				userData.calibrationSamples = [];
+			}
+			userData.calibrationText.visible = active;
+			if (!active) {
+				userData.calibrationSamples = [];
+				return;
+			}
+
+			const hapticActuator = gamepad._gamepad.hapticActuators
+				? gamepad._gamepad.hapticActuators[0]
+				: null;
+			let message = null;
+			if (gamepad.getButtonClick(XR_BUTTONS.BUTTON_1)) {
+				saveCalibration(getCalibrationKey(controller, handedness), null);
+				this._applyOffset(controller, handedness);
+				userData.calibrationSamples = [];
+				message = 'Default offset restored';
+				hapticActuator?.pulse(0.3, 50);
+			} else if (gamepad.getButtonClick(XR_BUTTONS.TRIGGER)) {
+				raySpace.updateWorldMatrix(true, false);
+				userData.calibrationSamples.push(raySpace.matrixWorld.clone());
+				hapticActuator?.pulse(0.2, 30);
+				if (userData.calibrationSamples.length >= CALIBRATION_SAMPLES) {
+					const result = solvePivotCalibration(userData.calibrationSamples);
+					userData.calibrationSamples = [];
+					if (
+						result &&
+						result.residual < MAX_RESIDUAL &&
+						result.offset.length() < MAX_OFFSET
+					) {
+						saveCalibration(
+							getCalibrationKey(controller, handedness),
+							result.offset.toArray(),
+						);
+						this._applyOffset(controller, handedness);
+						message = `Calibrated, error ${(result.residual * 1000).toFixed(1)} mm`;
+						hapticActuator?.pulse(0.6, 100);
+					} else {
+						message = 'Calibration failed, try again';
+						hapticActuator?.pulse(1, 300);
+					}
+				}
+			}
+
+			if (message) {
+				userData.calibrationMessage = message;
+			} else if (userData.calibrationSamples.length > 0) {
+				userData.calibrationMessage = null;
+			}
+			const text =
+				userData.calibrationMessage ??
+				`Hold the tip on a fixed point, tilt and pull the trigger ` +
+					`(${userData.calibrationSamples.length}/${CALIBRATION_SAMPLES})`;
+			if (userData.calibrationText.text !== text) {
+				userData.calibrationText.text = text;
+				userData.calibrationText.sync();
+			}
+			globals.playerHead.getWorldPosition(this._vec3);
+			userData.calibrationText.lookAt(this._vec3);
+		});
+	}
+
+	_applyOffset(controller, handedness) {
+		getPointerOffset(controller, handedness, controller.pointerSpace.position);
+		controller.userData.pointerTip.position.set(0, 0, 0);
+	}
+}
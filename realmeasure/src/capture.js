@@ -0,0 +1,265 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+	Color,
+	MeshBasicMaterial,
+	PerspectiveCamera,
+	WebGLRenderTarget,
+} from 'three';
+
+import { System } from 'elics';
+import { XR_BUTTONS } from 'gamepad-wrapper';
+import { createControllerHint } from './panel';
+import { downloadFile } from './report';
+import { globals } from './global';
+
+const CAPTURE_WIDTH = 1600;
+const CAPTURE_HEIGHT = 1200;
+const CAPTURE_FOV = 60;
+const CAPTURE_BACKGROUND = 0x1e2530;
+const CAPTION_FONT = '28px Inter, sans-serif';
+const MAX_CAPTURES = 50;
+// browsers drop downloads started together, so they are spaced out
+const DOWNLOAD_INTERVAL = 500;
+const ROOM_MESH_MATERIAL = new MeshBasicMaterial({
+	color: 0x9d8582,
+	wireframe: true,
+	transparent: true,
+	opacity: 0.5,
+});
+
+// render targets hold linear colors, the canvas expects sRGB
+const SRGB_TABLE = new Uint8ClampedArray(256).map((_, i) => {
+	const linear = i / 255;
+	const srgb =
+		linear <= 0.0031308
+			? linear * 12.92
+			: 1.055 * Math.pow(linear, 1 / 2.4) - 0.055;
+	return Math.round(srgb * 255);
+});
+
+/**
+ * Copies pixels read from a render target onto a canvas, flipping them upright
+ * and converting them to sRGB, then writes a caption along the bottom edge.
+ */
+const createCaptureCanvas = (pixels, width, height, caption) => {
+	const canvas = document.createElement('canvas');
+	canvas.width = width;
+	canvas.height = height;
+	const context = canvas.getContext('2d');
+	const image = context.createImageData(width, height);
+	const rowLength = width * 4;
+	for (let row = 0; row < height; row++) {
+		const source = (height - row - 1) * rowLength;
+		const target = row * rowLength;
+		for (let i = 0; i < rowLength; i += 4) {
+			image.data[target + i] = SRGB_TABLE[pixels[source + i]];
+			image.data[target + i + 1] = SRGB_TABLE[pixels[source + i + 1]];
+			image.data[target + i + 2] = SRGB_TABLE[pixels[source + i + 2]];
+			image.data[target + i + 3] = 255;
+		}
+	}
+	context.putImageData(image, 0, 0);
+	context.font = CAPTION_FONT;
+	context.fillStyle = '#ffffff';
+	context.textBaseline = 'bottom';
+	context.fillText(caption, 24, height - 20);
+	return canvas;
+};
+
+/**
+ * CaptureSystem runs the Capture mode. The trigger renders what the player is
+ * looking at into an image, with every measurement line and label. The
+ * passthrough feed can't be read by the page, so the virtual layer is drawn
+ * over a plain background, or over the detected room mesh after BUTTON_1
+ * turns it on. The captures are kept for the rest of the page's lifetime and
+ * offered as a gallery on the 2D page once the session ends.
+ */
+export class CaptureSystem extends System {
+	init() {
+		this._captures = [];
+		this._roomMesh = false;
+		this._capturing = false;
+		this._clearColor = new Color();
+		this._camera = new PerspectiveCamera(
+			CAPTURE_FOV,
+			CAPTURE_WIDTH / CAPTURE_HEIGHT,
+			0.05,
+			20,
+		);
+		this._renderTarget = new WebGLRenderTarget(CAPTURE_WIDTH, CAPTURE_HEIGHT, {
+			samples: 4,
+		});
+		this._pixels = new Uint8Array(CAPTURE_WIDTH * CAPTURE_HEIGHT * 4);
+
+		const galleryPanel = document.getElementById('gallery-panel');
+		document.getElementById('download-gallery-button').onclick = () => {
+			this._captures.forEach(({ filename, blob }, i) => {
+				setTimeout(() => downloadFile(filename, blob), i * DOWNLOAD_INTERVAL);
+			});
+		};
+		const { renderer } = globals;
+		renderer.xr.addEventListener('sessionstart', () => {
+			galleryPanel.style.display = 'none';
+		});
+		renderer.xr.addEventListener('sessionend', () => {
+			this._renderGallery();
+			galleryPanel.style.display = this._captures.length > 0 ? 'flex' : 'none';
+		});
+	}
+
+	update() {
+		const { valueStore, controllers } = globals;
+		const active = valueStore.get('mode') === 'Capture';
+		['left', 'right'].forEach((handedness) => {
+			const controller = controllers[handedness];
+			if (!controller) return;
+
+			const { userData, gamepad, raySpace } = controller;
+			if (!userData.captureText) {
+				const text = createControllerHint(raySpace);
+				userData.captureText = text;
+			}
+			userData.captureText.visible = active;
+			if (!active) return;
+
+			const hapticActuator = gamepad._gamepad.hapticActuators
+				? gamepad._gamepad.hapticActuators[0]
+				: null;
+			if (gamepad.getButtonClick(XR_BUTTONS.BUTTON_1)) {
+				this._roomMesh = !this._roomMesh;
+				hapticActuator?.pulse(0.3, 50);
+			} else if (
+				gamepad.getButtonClick(XR_BUTTONS.TRIGGER) &&
+				!this._capturing
+			) {
+				this._capture();
+				hapticActuator?.pulse(0.6, 100);
+			}
+
+			const text =
+				`Pull the trigger to capture (${this._captures.length} taken)\n` +
+				`Room mesh ${this._roomMesh ? 'On' : 'Off'}`;
+			if (userData.captureText.text !== text) {
+				userData.captureText.text = text;
+				userData.captureText.sync();
+			}
+			userData.captureText.lookAt(globals.playerHead.position);
+		});
+	}
+
+	async _capture() {
+		this._capturing = true;
+		try {
+			this._render();
+			const createdAt = new Date();
+			const canvas = createCaptureCanvas(
+				this._pixels,
+				CAPTURE_WIDTH,
+				CAPTURE_HEIGHT,
+				`RealMeasure ${createdAt.toLocaleString()}`,
+			);
+			const blob = await new Promise((resolve) =>
+				canvas.toBlob(resolve, 'image/png'),
+			);
+			if (!blob) throw new Error('the canvas could not be encoded');
+			const timestamp = createdAt.toISOString().slice(0, 19);
+			this._captures.push({
+				filename: `realmeasure-${timestamp.replace(/:/g, '-')}.png`,
+				blob,
+				url: URL.createObjectURL(blob),
+			});
+			if (this._captures.length > MAX_CAPTURES) {
+				URL.revokeObjectURL(this._captures.shift().url);
+			}
+		} catch (e) {
+			console.warn('Failed to capture view:', e);
+		}
+		this._capturing = false;
+	}
+
+	/**
+	 * Renders the scene from the player's head into the capture render target,
+	 * with the controllers hidden and the room mesh shown if it is turned on.
+	 * XR is turned off for the draw so the renderer uses the capture camera
+	 * instead of the headset views.
+	 */
+	_render() {
+		const { renderer, scene, playerHead, controllers, ratk } = globals;
+		playerHead.updateMatrixWorld();
+		playerHead.matrixWorld.decompose(
+			this._camera.position,
+			this._camera.quaternion,
+			this._camera.scale,
+		);
+		this._camera.updateMatrixWorld();
+
+		const hidden = [];
+		Object.values(controllers).forEach((controller) => {
+			[controller?.raySpace, controller?.pointerSpace].forEach((object) => {
+				if (object?.visible) {
+					object.visible = false;
+					hidden.push(object);
+				}
+			});
+		});
+		const roomMeshes = this._roomMesh
+			? Array.from(ratk.meshes).filter(({ meshMesh }) => meshMesh)
+			: [];
+		const roomMeshStates = roomMeshes.map((mesh) => ({
+			visible: mesh.visible,
+			material: mesh.meshMesh.material,
+		}));
+		roomMeshes.forEach((mesh) => {
+			mesh.visible = true;
+			mesh.meshMesh.material = ROOM_MESH_MATERIAL;
+		});
+
+		const xrEnabled = renderer.xr.enabled;
+		const renderTarget = renderer.getRenderTarget();
+		renderer.getClearColor(this._clearColor);
+		const clearAlpha = renderer.getClearAlpha();
+		renderer.xr.enabled = false;
+		renderer.setRenderTarget(this._renderTarget);
+		renderer.setClearColor(CAPTURE_BACKGROUND, 1);
+		renderer.clear();
+		renderer.render(scene, this._camera);
+		renderer.readRenderTargetPixels(
+			this._renderTarget,
+			0,
+			0,
+			CAPTURE_WIDTH,
+			CAPTURE_HEIGHT,
+			this._pixels,
+		);
+		renderer.setClearColor(this._clearColor, clearAlpha);
+		renderer.setRenderTarget(renderTarget);
+		renderer.xr.enabled = xrEnabled;
+
+		roomMeshes.forEach((mesh, i) => {
+			mesh.visible = roomMeshStates[i].visible;
+			mesh.meshMesh.material = roomMeshStates[i].material;
+		});
+		hidden.forEach((object) => {
+			object.visible = true;
+		});
+	}
+
+	_renderGallery() {
+		const gallery = document.getElementById('gallery');
+		gallery.innerHTML = '';
+		this._captures.forEach(({ filename, blob, url }) => {
+			const image = document.createElement('img');
+			image.src = url;
+			image.alt = filename;
+			image.title = `Download ${filename}`;
+			image.onclick = () => downloadFile(filename, blob);
+			gallery.appendChild(image);
+		});
+	}
+}
@@ -0,0 +1,111 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { XR_BUTTONS } from 'gamepad-wrapper';
+import { globals } from './global';
+
+const CHECKS_ELEMENT_ID = 'simulator-checks';
+const DISTANCE_TOLERANCE = 0.01;
+// purging takes a 3 second hold, this leaves room for slow frames
+const MAX_PURGE_FRAMES = 2000;
+
+const waitFrames = async (simulator, count) => {
+	for (let i = 0; i < count; i++) await simulator.nextFrame();
+};
+
+const click = async (simulator, handedness, buttonId) => {
+	simulator.setButton(handedness, buttonId, true);
+	await waitFrames(simulator, 1);
+	simulator.setButton(handedness, buttonId, false);
+	await waitFrames(simulator, 2);
+};
+
+/**
+ * Runs a step and returns the measurements it added.
+ */
+const getAddedMeasurements = async (simulator, step) => {
+	const before = new Set(simulator.getMeasurements().map(({ uid }) => uid));
+	await step();
+	return simulator.getMeasurements().filter(({ uid }) => !before.has(uid));
+};
+
+const expectDistance = (measurements, distance) => {
+	if (measurements.length !== 1) {
+		throw new Error(`expected 1 new measurement, got ${measurements.length}`);
+	}
+	if (Math.abs(measurements[0].distance - distance) > DISTANCE_TOLERANCE) {
+		throw new Error(
+			`expected ${distance} m, measured ${measurements[0].distance} m`,
+		);
+	}
+};
+
+const CHECKS = {
+	'Tape measures between two trigger presses': async (simulator) => {
+		globals.valueStore.set('mode', 'Tape');
+		const added = await getAddedMeasurements(simulator, async () => {
+			simulator.setPointer('right', [0, 1, -0.5]);
+			await waitFrames(simulator, 2);
+			await click(simulator, 'right', XR_BUTTONS.TRIGGER);
+			simulator.setPointer('right', [0.5, 1, -0.5]);
+			await waitFrames(simulator, 2);
+			await click(simulator, 'right', XR_BUTTONS.TRIGGER);
+		});
+		expectDistance(added, 0.5);
+	},
+	'Clamp measures between both pointers': async (simulator) => {
+		globals.valueStore.set('mode', 'Clamp');
+		const added = await getAddedMeasurements(simulator, async () => {
+			simulator.setPointer('left', [-0.2, 1.2, -0.5]);
+			simulator.setPointer('right', [0.2, 1.2, -0.5]);
+			await waitFrames(simulator, 2);
+			await click(simulator, 'right', XR_BUTTONS.TRIGGER);
+		});
+		globals.valueStore.set('mode', 'Tape');
+		await waitFrames(simulator, 2);
+		expectDistance(added, 0.4);
+	},
+	'Purge removes every measurement': async (simulator) => {
+		simulator.setButton('right', XR_BUTTONS.BUTTON_1, true);
+		for (let i = 0; i < MAX_PURGE_FRAMES; i++) {
+			await waitFrames(simulator, 1);
+			if (simulator.getMeasurements().length === 0) break;
+		}
+		simulator.setButton('right', XR_BUTTONS.BUTTON_1, false);
+		await waitFrames(simulator, 2);
+		const remaining = simulator.getMeasurements().length;
+		if (remaining !== 0) {
+			throw new Error(`${remaining} measurements left after purging`);
+		}
+	},
+};
+
+/**
+ * Drives the simulator through Tape, Clamp and Purge and writes the outcome
+ * as JSON into an element on the page, where a headless browser dumping the
+ * DOM can read it, see scripts/check-simulator.mjs.
+ */
+export const runChecks = async (simulator) => {
+	// lets the pointers and the anchor be set up first
+	await waitFrames(simulator, 5);
+	const results = [];
+	for (const [name, check] of Object.entries(CHECKS)) {
+		try {
+			await check(simulator);
+			results.push({ name, passed: true });
+		} catch (e) {
+			results.push({ name, passed: false, error: String(e?.message ?? e) });
+		}
+	}
+	const element = document.createElement('pre');
+	element.id = CHECKS_ELEMENT_ID;
+	element.textContent = JSON.stringify({
+		passed: results.every(({ passed }) => passed),
+		results,
+	});
+	document.body.appendChild(element);
+};
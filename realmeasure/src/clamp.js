@@ -11,13 +11,18 @@ import { MeasurementComponent } from './measurement';
 import { System } from 'elics';
 import { XR_BUTTONS } from 'gamepad-wrapper';
 import { globals } from './global';
+import { snapToAxis } from './snap';
 
 export class ClampSystem extends System {
 	init() {
-		this._vec3 = new Vector3();
 		this._vec3Left = new Vector3();
 		this._vec3Right = new Vector3();
 		this._snapHand = null;
+		this._measurement = null;
+		globals.renderer.xr.addEventListener('sessionstart', () => {
+			// the measurement of the last session is destroyed with it
+			this._measurement = null;
+		});
 	}
 
 	update() {
@@ -29,7 +34,9 @@ export class ClampSystem extends System {
 				leftController &&
 				rightController &&
 				leftController.gamepad &&
-				rightController.gamepad
+				rightController.gamepad &&
+				leftController.userData.pointer &&
+				rightController.userData.pointer
 			) {
 				const leftPointer = leftController.userData.pointer;
 				const rightPointer = rightController.userData.pointer;
@@ -54,21 +61,14 @@ export class ClampSystem extends System {
 						this._snapHand === 'left' ? this._vec3Right : this._vec3Left;
 					const pointerPosition =
 						this._snapHand === 'left' ? this._vec3Left : this._vec3Right;
-					this._vec3.subVectors(pointerPosition, refMarkerPosition);
-					const horizontalDistance = Math.sqrt(
-						Math.pow(this._vec3.x, 2) + Math.pow(this._vec3.z, 2),
+					measurementComponent.snapAxis = snapToAxis(
+						pointerPosition,
+						refMarkerPosition,
 					);
-					if (horizontalDistance > Math.abs(this._vec3.y)) {
-						// snap to horizontal
-						pointerPosition.y = refMarkerPosition.y;
-					} else {
-						// snap to vertical
-						pointerPosition.x = refMarkerPosition.x;
-						pointerPosition.z = refMarkerPosition.z;
-					}
 					measurementComponent.snap = true;
 				} else {
 					measurementComponent.snap = false;
+					measurementComponent.snapAxis = null;
 				}
 				measurementComponent.position1 = this._vec3Left;
 				measurementComponent.position2 = this._vec3Right;
@@ -0,0 +1,201 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { MeasurementComponent, PATH_TYPES, createUid } from './measurement';
+import { Object3D, Vector3 } from 'three';
+
+import { System } from 'elics';
+import { XR_BUTTONS } from 'gamepad-wrapper';
+import { createControllerHint } from './panel';
+import { createLabel } from './labels';
+import { getPlaneSurface } from './surfaces';
+import { globals } from './global';
+
+const MIN_PLANE_SIZE = 0.1;
+
+// semantic labels reported by the headset, mapped onto the label presets
+const SEMANTIC_LABEL_PRESETS = {
+	wall: 'Wall',
+	floor: 'Floor',
+	ceiling: 'Ceiling',
+	door: 'Door',
+	'door frame': 'Door',
+	window: 'Window',
+	'window frame': 'Window',
+	table: 'Furniture',
+	desk: 'Furniture',
+	couch: 'Furniture',
+	bed: 'Furniture',
+	shelf: 'Furniture',
+	storage: 'Furniture',
+	screen: 'Furniture',
+};
+
+const getLabelPreset = (plane) =>
+	SEMANTIC_LABEL_PRESETS[
+		plane.semanticLabel?.toLowerCase().replace(/_/g, ' ')
+	] ?? null;
+
+/**
+ * Returns the corners of a plane's bounding rectangle in world space, ordered
+ * so the first edge is the width and the second the height of a vertical
+ * plane, or the depth of a horizontal one.
+ */
+const getPlaneRectangle = (plane) => {
+	let minX = Infinity;
+	let minZ = Infinity;
+	let maxX = -Infinity;
+	let maxZ = -Infinity;
+	plane.xrPlane.polygon.forEach(({ x, z }) => {
+		minX = Math.min(minX, x);
+		minZ = Math.min(minZ, z);
+		maxX = Math.max(maxX, x);
+		maxZ = Math.max(maxZ, z);
+	});
+	plane.updateWorldMatrix(true, false);
+	// on a wall one of the local X and Z axes runs up, that one is the height
+	const xAxis = new Vector3(1, 0, 0).transformDirection(plane.matrixWorld);
+	const zAxis = new Vector3(0, 0, 1).transformDirection(plane.matrixWorld);
+	const corners =
+		Math.abs(xAxis.y) > Math.abs(zAxis.y)
+			? [
+					[minX, maxZ],
+					[minX, minZ],
+					[maxX, minZ],
+				]
+			: [
+					[minX, minZ],
+					[maxX, minZ],
+					[maxX, maxZ],
+				];
+	return corners.map(([x, z]) => plane.localToWorld(new Vector3(x, 0, z)));
+};
+
+/**
+ * DimensionSystem runs the Dimension mode. The trigger turns the room setup
+ * the headset already knows into measurements: every detected plane gets its
+ * bounding rectangle dimensioned, width and height for walls, doors and
+ * windows, width and depth for floors and table tops, labelled after what the
+ * headset recognized it as. When both a floor and a ceiling are known, the
+ * floor-to-ceiling height is added as well. The results are ordinary plane
+ * paths, so they can be edited, undone, saved and exported like any other
+ * measurement. Planes that still have their dimensions are skipped.
+ */
+export class DimensionSystem extends System {
+	init() {
+		this._planePaths = new WeakMap();
+	}
+
+	update() {
+		const { valueStore, controllers, ratk } = globals;
+		const active = valueStore.get('mode') === 'Dimension';
+		const pathIds = new Set(
+			this.getEntities(this.queries.measurements).map(
+				(measurement) => measurement.getComponent(MeasurementComponent).pathId,
+			),
+		);
+		const planes = Array.from(ratk.planes).filter(
+			(plane) =>
+				plane.xrPlane.polygon &&
+				plane.boundingRectangleWidth > MIN_PLANE_SIZE &&
+				plane.boundingRectangleHeight > MIN_PLANE_SIZE &&
+				!pathIds.has(this._planePaths.get(plane)),
+		);
+		['left', 'right'].forEach((handedness) => {
+			const controller = controllers[handedness];
+			if (!controller) return;
+
+			const { userData, gamepad, raySpace } = controller;
+			if (!userData.dimensionText) {
+				const text = createControllerHint(raySpace);
+				userData.dimensionText = text;
+			}
+			userData.dimensionText.visible = active;
+			if (!active) return;
+
+			if (gamepad.getButtonClick(XR_BUTTONS.TRIGGER) && globals.anchor) {
+				const hapticActuator = gamepad._gamepad.hapticActuators
+					? gamepad._gamepad.hapticActuators[0]
+					: null;
+				if (planes.length > 0) {
+					this._dimensionPlanes(planes);
+					planes.length = 0;
+					hapticActuator?.pulse(0.6, 100);
+				} else {
+					hapticActuator?.pulse(0.2, 30);
+				}
+			}
+
+			const text =
+				planes.length > 0
+					? `Pull the trigger to dimension ${planes.length} detected ` +
+						(planes.length === 1 ? 'plane' : 'planes')
+					: 'Every detected plane is dimensioned';
+			if (userData.dimensionText.text !== text) {
+				userData.dimensionText.text = text;
+				userData.dimensionText.sync();
+			}
+			userData.dimensionText.lookAt(globals.playerHead.position);
+		});
+	}
+
+	_dimensionPlanes(planes) {
+		const labels = this.getEntities(this.queries.measurements).map(
+			(measurement) => measurement.getComponent(MeasurementComponent).label,
+		);
+		const createdAt = Date.now();
+		let floor = null;
+		let ceiling = null;
+		planes.forEach((plane) => {
+			const preset = getLabelPreset(plane);
+			const label = preset && createLabel(preset, labels);
+			labels.push(label);
+			const pathId = createUid();
+			this._planePaths.set(plane, pathId);
+			const corners = getPlaneRectangle(plane);
+			[0, 1].forEach((pathIndex) => {
+				this._createMeasurement(corners[pathIndex], corners[pathIndex + 1], {
+					pathId,
+					pathType: PATH_TYPES.Plane,
+					pathIndex,
+					label,
+					createdAt,
+				});
+			});
+			if (preset === 'Floor') floor = plane;
+			if (preset === 'Ceiling') ceiling = { plane, label };
+		});
+
+		floor ??= Array.from(globals.ratk.planes).find(
+			(plane) => getLabelPreset(plane) === 'Floor',
+		);
+		if (floor && ceiling) {
+			// straight down from the middle of the ceiling onto the floor
+			const corners = getPlaneRectangle(ceiling.plane);
+			const top = corners[0].lerp(corners[2], 0.5);
+			const bottom = getPlaneSurface(floor).projectPoint(top, new Vector3());
+			this._createMeasurement(top, bottom, {
+				label: ceiling.label && `${ceiling.label} height`,
+				createdAt,
+			});
+		}
+	}
+
+	_createMeasurement(position1, position2, data) {
+		const measurement = this.world.createEntity();
+		measurement.addComponent(MeasurementComponent, {
+			position1,
+			position2,
+			...data,
+			_object: new Object3D(),
+		});
+	}
+}
+
+DimensionSystem.queries = {
+	measurements: { required: [MeasurementComponent] },
+};
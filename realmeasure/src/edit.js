@@ -0,0 +1,238 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { MeasurementComponent, PATH_TYPES, isFinalized } from './measurement';
+import { Plane, Vector3 } from 'three';
+
+import { System } from 'elics';
+import { XR_BUTTONS } from 'gamepad-wrapper';
+import { globals } from './global';
+
+const GRAB_DISTANCE = 0.02;
+const LINK_DISTANCE = 0.001;
+const HOVER_SCALE = 2;
+const MIN_NORMAL_LENGTH = 1e-6;
+// box paths chain four corners, the last one on top of the box
+const BOX_TOP_CORNER = 3;
+
+/**
+ * EditSystem lets finished measurements be adjusted: hovering the pointer over
+ * an endpoint highlights it, and squeezing grabs and drags it until released.
+ * Endpoints shared by neighbouring path segments move together, the vertices
+ * of an area stay on the plane it was measured on, and boxes stay rectangular.
+ */
+export class EditSystem extends System {
+	init() {
+		this._pointerVec3 = new Vector3();
+		this._markerVec3 = new Vector3();
+		this._otherMarkerVec3 = new Vector3();
+	}
+
+	update() {
+		const { valueStore, controllers } = globals;
+		const measurementComponents = this.getEntities(
+			this.queries.measurements,
+		).map((measurement) => measurement.getComponent(MeasurementComponent));
+
+		['left', 'right'].forEach((handedness) => {
+			const controller = controllers[handedness];
+			if (!controller?.gamepad || !controller.userData.pointer) return;
+
+			const { userData, gamepad } = controller;
+			userData.pointer.getWorldPosition(this._pointerVec3);
+
+			if (userData.editing) {
+				const { handles, plane, axis, grabbed } = userData.editing;
+				plane?.projectPoint(this._pointerVec3, this._pointerVec3);
+				const distance = axis
+					? this._markerVec3.subVectors(this._pointerVec3, grabbed).dot(axis)
+					: 0;
+				const released =
+					!gamepad.getButton(XR_BUTTONS.SQUEEZE) ||
+					handles.some(
+						({ measurementComponent }) => !measurementComponent.marker1,
+					);
+				handles.forEach(({ measurementComponent, endpoint, origin }) => {
+					if (released) {
+						measurementComponent.attachedGamepads = [];
+					} else if (axis) {
+						measurementComponent[endpoint] = origin
+							.clone()
+							.addScaledVector(axis, distance);
+					} else {
+						measurementComponent[endpoint] = this._pointerVec3.clone();
+					}
+				});
+				if (released) userData.editing = null;
+				return;
+			}
+
+			const busy =
+				valueStore.get('mode') === 'Clamp' ||
+				userData.attachedMeasurement ||
+				userData.path ||
+				userData.laserMeasurement;
+			const hovered = busy
+				? null
+				: this._findMarker(measurementComponents, this._pointerVec3);
+			if (hovered?.marker !== userData.hoveredMarker) {
+				userData.hoveredMarker?.scale.setScalar(1);
+				hovered?.marker.scale.setScalar(HOVER_SCALE);
+				userData.hoveredMarker = hovered?.marker;
+			}
+
+			if (hovered && gamepad.getButtonClick(XR_BUTTONS.SQUEEZE)) {
+				hovered.marker.scale.setScalar(1);
+				userData.hoveredMarker = null;
+				const box = this._findBoxHandles(measurementComponents, hovered);
+				const handles =
+					box?.handles ??
+					this._findLinkedHandles(measurementComponents, hovered);
+				handles.forEach(({ measurementComponent }) => {
+					measurementComponent.attachedGamepads = [gamepad];
+				});
+				userData.editing = {
+					handles,
+					plane: this._findAreaPlane(measurementComponents, hovered),
+					axis: box?.axis ?? null,
+					grabbed: hovered.marker.getWorldPosition(new Vector3()),
+				};
+			}
+		});
+	}
+
+	_findMarker(measurementComponents, position) {
+		let nearest = null;
+		let nearestDistance = GRAB_DISTANCE;
+		measurementComponents.forEach((measurementComponent) => {
+			if (
+				!isFinalized(measurementComponent) ||
+				!measurementComponent._object.visible
+			) {
+				return;
+			}
+			['marker1', 'marker2'].forEach((markerKey) => {
+				const marker = measurementComponent[markerKey];
+				const distance = marker
+					.getWorldPosition(this._markerVec3)
+					.distanceTo(position);
+				if (distance < nearestDistance) {
+					nearestDistance = distance;
+					nearest = { measurementComponent, marker, markerKey };
+				}
+			});
+		});
+		return nearest;
+	}
+
+	_findLinkedHandles(measurementComponents, { measurementComponent, marker }) {
+		const toHandle = (component, markerKey) => ({
+			measurementComponent: component,
+			endpoint: markerKey === 'marker1' ? 'position1' : 'position2',
+		});
+		const handles = [
+			toHandle(
+				measurementComponent,
+				marker === measurementComponent.marker1 ? 'marker1' : 'marker2',
+			),
+		];
+		const { pathId } = measurementComponent;
+		if (pathId === null) return handles;
+
+		const grabbedPosition = marker.getWorldPosition(new Vector3());
+		measurementComponents.forEach((component) => {
+			if (component.pathId !== pathId || !isFinalized(component)) return;
+			['marker1', 'marker2'].forEach((markerKey) => {
+				const other = component[markerKey];
+				if (other === marker) return;
+				const distance = other
+					.getWorldPosition(this._markerVec3)
+					.distanceTo(grabbedPosition);
+				if (distance < LINK_DISTANCE) {
+					handles.push(toHandle(component, markerKey));
+				}
+			});
+		});
+		return handles;
+	}
+
+	/**
+	 * Returns the handles of a grabbed box corner and the axis they are dragged
+	 * along, so the box stays rectangular: the first two corners slide along
+	 * the width edge, the third along the depth edge and the top one straight
+	 * up. The corners after an inner one move with it. Returns null for other
+	 * measurements.
+	 */
+	_findBoxHandles(measurementComponents, { measurementComponent, marker }) {
+		const { pathId, pathType, pathIndex } = measurementComponent;
+		if (pathId === null || pathType !== PATH_TYPES.Box) return null;
+
+		const edges = [];
+		measurementComponents.forEach((component) => {
+			if (component.pathId !== pathId || !isFinalized(component)) return;
+			edges[component.pathIndex] = component;
+		});
+		const corner =
+			pathIndex + (marker === measurementComponent.marker1 ? 0 : 1);
+		let axis;
+		if (corner === BOX_TOP_CORNER) {
+			axis = new Vector3(0, 1, 0);
+		} else {
+			const edge = edges[corner === 2 ? 1 : 0];
+			if (!edge) return null;
+			axis = edge.marker2
+				.getWorldPosition(new Vector3())
+				.sub(edge.marker1.getWorldPosition(this._markerVec3));
+			if (axis.length() < MIN_NORMAL_LENGTH) return null;
+			axis.normalize();
+		}
+
+		const handles = [];
+		const addHandle = (component, markerKey) => {
+			if (!component) return;
+			handles.push({
+				measurementComponent: component,
+				endpoint: markerKey === 'marker1' ? 'position1' : 'position2',
+				origin: component[markerKey].getWorldPosition(new Vector3()),
+			});
+		};
+		const lastCorner = corner === 0 ? 0 : BOX_TOP_CORNER;
+		for (let i = corner; i <= lastCorner; i++) {
+			addHandle(edges[i - 1], 'marker2');
+			addHandle(edges[i], 'marker1');
+		}
+		return { handles, axis };
+	}
+
+	/**
+	 * Returns the plane the area a grabbed endpoint belongs to lies on, with
+	 * its normal summed over the area's edges, or null for other measurements.
+	 */
+	_findAreaPlane(measurementComponents, { measurementComponent, marker }) {
+		const { pathId, pathType } = measurementComponent;
+		if (pathId === null || pathType !== PATH_TYPES.Area) return null;
+
+		const normal = new Vector3();
+		measurementComponents.forEach((component) => {
+			if (component.pathId !== pathId || !isFinalized(component)) return;
+			const a = component.marker1.getWorldPosition(this._markerVec3);
+			const b = component.marker2.getWorldPosition(this._otherMarkerVec3);
+			normal.x += (a.y - b.y) * (a.z + b.z);
+			normal.y += (a.z - b.z) * (a.x + b.x);
+			normal.z += (a.x - b.x) * (a.y + b.y);
+		});
+		if (normal.length() < MIN_NORMAL_LENGTH) return null;
+		return new Plane().setFromNormalAndCoplanarPoint(
+			normal.normalize(),
+			marker.getWorldPosition(new Vector3()),
+		);
+	}
+}
+
+EditSystem.queries = {
+	measurements: { required: [MeasurementComponent] },
+};
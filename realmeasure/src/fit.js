@@ -0,0 +1,295 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+	BoxGeometry,
+	EdgesGeometry,
+	Group,
+	LineBasicMaterial,
+	LineSegments,
+	Mesh,
+	MeshBasicMaterial,
+	Object3D,
+	Vector3,
+} from 'three';
+import {
+	LENGTH_NUMBER_PATTERN,
+	LENGTH_UNIT_PATTERN,
+	formatDistance,
+	parseLength,
+} from './units';
+import {
+	MeasurementComponent,
+	createUid,
+	isSameMeasurement,
+} from './measurement';
+import { XR_AXES, XR_BUTTONS } from 'gamepad-wrapper';
+import { findFloorPlane, getPlaneSurface, raycastWalls } from './surfaces';
+
+import { SNAP_AXES } from './snap';
+import { System } from 'elics';
+import { createControllerHint } from './panel';
+import { globals } from './global';
+
+// a common fridge, used until a size is typed on the 2D page
+const DEFAULT_BOX_SIZE = [0.6, 0.65, 1.8];
+const MAX_CLEARANCE = 3;
+const ROTATE_SPEED = Math.PI / 2;
+const THUMBSTICK_DEAD_ZONE = 0.2;
+const BOX_GEOMETRY = new BoxGeometry(1, 1, 1).translate(0, 0.5, 0);
+const BOX_EDGES_GEOMETRY = new EdgesGeometry(BOX_GEOMETRY);
+const BOX_MATERIAL = new MeshBasicMaterial({
+	color: 0x6b8fd6,
+	transparent: true,
+	opacity: 0.25,
+	depthWrite: false,
+});
+const BOX_EDGES_MATERIAL = new LineBasicMaterial({ color: 0xffffff });
+
+// outward directions of the four sides of the box, in box space
+const SIDE_DIRECTIONS = [
+	new Vector3(1, 0, 0),
+	new Vector3(-1, 0, 0),
+	new Vector3(0, 0, 1),
+	new Vector3(0, 0, -1),
+];
+
+const BOX_SIZE_PATTERN = new RegExp(
+	`^${[0, 1, 2]
+		.map(() => `${LENGTH_NUMBER_PATTERN}\\s*${LENGTH_UNIT_PATTERN}`)
+		.join('\\s*[x×*]\\s*')}$`,
+	'i',
+);
+
+/**
+ * Parses a box size typed as W × D × H into meters, e.g. "60 × 65 × 180 cm".
+ * Numbers without a unit take the unit typed after them, or else the display
+ * unit.
+ */
+export const parseBoxSize = (text, unit) => {
+	const match = BOX_SIZE_PATTERN.exec(text.trim());
+	if (!match) return null;
+	const values = [match[1], match[3], match[5]];
+	const units = [match[2], match[4], match[6]];
+	const size = values.map((value, i) =>
+		parseLength(value, units.slice(i).find(Boolean), unit),
+	);
+	return size.every((length) => length > 0) ? size : null;
+};
+
+/**
+ * FitSystem runs the Fit mode for checking whether an appliance or a piece of
+ * furniture fits before it is bought. A box of the size typed on the 2D page
+ * rests on the floor under the pointer, and the thumbstick turns it. From
+ * each of its sides, the clearance to the wall it faces is shown as a live
+ * measurement. The trigger sets the box down and keeps those clearances as
+ * permanent measurements, and the next press picks the box up again.
+ */
+export class FitSystem extends System {
+	init() {
+		this._active = false;
+		this._carrier = null;
+		this._yaw = 0;
+		this._clearances = SIDE_DIRECTIONS.map(() => null);
+		this._floorVec3 = new Vector3();
+		this._origin = new Vector3();
+		this._direction = new Vector3();
+		this._size = DEFAULT_BOX_SIZE;
+		this._sizeInput = document.getElementById('fit-size-input');
+		this._sizeInput?.addEventListener('change', () => this._readSize());
+		globals.renderer.xr.addEventListener('sessionstart', () => {
+			// the unit may have changed since the size was typed
+			this._readSize();
+		});
+	}
+
+	update(delta) {
+		const { valueStore, controllers, anchor } = globals;
+		const active = valueStore.get('mode') === 'Fit' && !!anchor;
+		if (!this._box) this._createBox();
+		this._box.visible = active;
+		if (active && !this._active) {
+			// entering the mode hands the box to a controller to carry
+			this._carrier = ['right', 'left'].find(
+				(handedness) => controllers[handedness],
+			);
+		}
+		this._active = active;
+		if (!active) {
+			// the box only exists in Fit mode, clearances being measured go too
+			this._carrier = null;
+			this._destroyClearances();
+			['left', 'right'].forEach((handedness) => {
+				const controller = controllers[handedness];
+				if (controller) controller.userData.carryingBox = false;
+				if (controller?.userData.fitText) {
+					controller.userData.fitText.visible = false;
+				}
+			});
+			return;
+		}
+
+		const size = this._size;
+		this._box.userData.body.scale.set(size[0], size[2], size[1]);
+		this._box.userData.edges.scale.set(size[0], size[2], size[1]);
+		if (this._carrier && !controllers[this._carrier]) this._placeBox();
+
+		['left', 'right'].forEach((handedness) => {
+			const controller = controllers[handedness];
+			if (!controller?.userData.pointer) return;
+
+			const { userData, gamepad, raySpace } = controller;
+			userData.carryingBox = this._carrier === handedness;
+			if (!userData.fitText) {
+				const text = createControllerHint(raySpace);
+				userData.fitText = text;
+			}
+			userData.fitText.visible = true;
+
+			if (gamepad.getButtonClick(XR_BUTTONS.TRIGGER)) {
+				if (this._carrier) {
+					this._placeBox();
+				} else {
+					this._carrier = handedness;
+				}
+				const hapticActuator = gamepad._gamepad.hapticActuators
+					? gamepad._gamepad.hapticActuators[0]
+					: null;
+				hapticActuator?.pulse(0.6, 100);
+			}
+
+			if (this._carrier === handedness) {
+				const x = gamepad.getAxis(XR_AXES.THUMBSTICK_X) ?? 0;
+				// the thumbstick navigates an open panel instead of turning the box
+				if (!globals.openPanel && Math.abs(x) > THUMBSTICK_DEAD_ZONE) {
+					this._yaw -= x * ROTATE_SPEED * delta;
+				}
+				this._moveBox(userData.pointer.getWorldPosition(this._floorVec3));
+				this._updateClearances(size, gamepad);
+			}
+
+			const unit = valueStore.get('unit');
+			const precision = valueStore.get('precision');
+			const sizeText = size
+				.map((length) => formatDistance(length, unit, precision))
+				.join(' × ');
+			const text =
+				sizeText +
+				(this._carrier === handedness
+					? '\nTrigger to set down, thumbstick to turn'
+					: '\nTrigger to pick up');
+			if (userData.fitText.text !== text) {
+				userData.fitText.text = text;
+				userData.fitText.sync();
+			}
+			userData.fitText.lookAt(globals.playerHead.position);
+		});
+	}
+
+	_createBox() {
+		const body = new Mesh(BOX_GEOMETRY, BOX_MATERIAL);
+		const edges = new LineSegments(BOX_EDGES_GEOMETRY, BOX_EDGES_MATERIAL);
+		this._box = new Group();
+		this._box.add(body, edges);
+		this._box.userData = { body, edges };
+		this._box.visible = false;
+		globals.scene.add(this._box);
+	}
+
+	_readSize() {
+		this._size =
+			parseBoxSize(
+				this._sizeInput?.value ?? '',
+				globals.valueStore.get('unit'),
+			) ?? DEFAULT_BOX_SIZE;
+	}
+
+	/**
+	 * Stands the box on the floor under a position, the detected floor plane
+	 * or else the floor of the reference space.
+	 */
+	_moveBox(position) {
+		const floorPlane = findFloorPlane(position);
+		if (floorPlane) {
+			getPlaneSurface(floorPlane).projectPoint(position, this._box.position);
+		} else {
+			this._box.position.copy(position).setY(0);
+		}
+		this._box.rotation.set(0, this._yaw, 0);
+		this._box.updateMatrixWorld(true);
+	}
+
+	/**
+	 * Measures from the middle of each side of the box to the first wall in
+	 * front of it, removing the measurements of sides that face no wall.
+	 */
+	_updateClearances(size, gamepad) {
+		SIDE_DIRECTIONS.forEach((sideDirection, i) => {
+			this._direction
+				.copy(sideDirection)
+				.applyAxisAngle(new Vector3(0, 1, 0), this._yaw);
+			this._origin
+				.set(
+					(sideDirection.x * size[0]) / 2,
+					size[2] / 2,
+					(sideDirection.z * size[1]) / 2,
+				)
+				.applyMatrix4(this._box.matrixWorld);
+			const hit = raycastWalls(this._origin, this._direction, MAX_CLEARANCE);
+			const alive = this._isClearanceAlive(i);
+			if (!hit) {
+				if (alive) this._clearances[i].measurement.destroy();
+				this._clearances[i] = null;
+				return;
+			}
+			if (!alive) {
+				const uid = createUid();
+				const measurement = this.world.createEntity();
+				measurement.addComponent(MeasurementComponent, {
+					uid,
+					attachedGamepads: [gamepad],
+					snapAxis: SNAP_AXES.Horizontal,
+					_object: new Object3D(),
+				});
+				this._clearances[i] = { measurement, uid };
+			}
+			const measurementComponent =
+				this._clearances[i].measurement.getComponent(MeasurementComponent);
+			measurementComponent.position1 = this._origin.clone();
+			measurementComponent.position2 = hit.point.clone();
+		});
+	}
+
+	/**
+	 * Whether the clearance measured from a side still exists. Purging, undo
+	 * or sharing can destroy it, and its pooled entity may be reused since.
+	 */
+	_isClearanceAlive(i) {
+		const clearance = this._clearances[i];
+		return (
+			!!clearance && isSameMeasurement(clearance.measurement, clearance.uid)
+		);
+	}
+
+	_placeBox() {
+		this._clearances.forEach((clearance, i) => {
+			if (!this._isClearanceAlive(i)) return;
+			clearance.measurement.getComponent(
+				MeasurementComponent,
+			).attachedGamepads = [];
+		});
+		this._clearances = SIDE_DIRECTIONS.map(() => null);
+		this._carrier = null;
+	}
+
+	_destroyClearances() {
+		this._clearances.forEach((clearance, i) => {
+			if (this._isClearanceAlive(i)) clearance.measurement.destroy();
+		});
+		this._clearances = SIDE_DIRECTIONS.map(() => null);
+	}
+}
@@ -0,0 +1,289 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { MeasurementComponent, isFinalized } from './measurement';
+import { Vector2, Vector3 } from 'three';
+
+import { System } from 'elics';
+import { downloadFile } from './report';
+import { formatDistance } from './units';
+import { globals } from './global';
+
+// measurements steeper than this (rise over length) are left off the plan
+const MAX_HORIZONTAL_SLOPE = Math.sin(Math.PI / 18);
+const PX_PER_METER = 200;
+const PLAN_PADDING = 80;
+const PNG_SCALE = 2;
+const FONT_SIZE = 14;
+const DIMENSION_OFFSET = 14;
+const TICK_SIZE = 6;
+const WALL_COLOR = '#4a576c';
+const MEASUREMENT_COLOR = '#d9534f';
+
+const escapeXML = (value) =>
+	String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+
+const format = (value) => Number(value.toFixed(2));
+
+/**
+ * Returns the SVG text labelling the line from start to end. The text is kept
+ * upright and pushed to the side given by offset, in pixels.
+ */
+const drawDimension = (start, end, text, color, offset) => {
+	const direction = new Vector2().subVectors(end, start);
+	let angle = (Math.atan2(direction.y, direction.x) * 180) / Math.PI;
+	if (angle > 90) angle -= 180;
+	if (angle <= -90) angle += 180;
+	const normal = new Vector2(-direction.y, direction.x).normalize();
+	const middle = new Vector2()
+		.addVectors(start, end)
+		.multiplyScalar(0.5)
+		.addScaledVector(normal, offset);
+	return (
+		`<text x="${format(middle.x)}" y="${format(middle.y)}" fill="${color}" ` +
+		`transform="rotate(${format(angle)} ${format(middle.x)} ${format(middle.y)})" ` +
+		`text-anchor="middle" dominant-baseline="middle">${escapeXML(text)}</text>`
+	);
+};
+
+const drawTicks = (start, end, color) => {
+	const normal = new Vector2(start.y - end.y, end.x - start.x)
+		.normalize()
+		.multiplyScalar(TICK_SIZE);
+	return [start, end]
+		.map(
+			(point) =>
+				`<line x1="${format(point.x - normal.x)}" y1="${format(point.y - normal.y)}" ` +
+				`x2="${format(point.x + normal.x)}" y2="${format(point.y + normal.y)}" ` +
+				`stroke="${color}" stroke-width="1.5"/>`,
+		)
+		.join('');
+};
+
+/**
+ * Draws a top-down floor plan as an SVG string. Segments and walls are
+ * { start, end } pairs of floor coordinates in meters, where x runs right and
+ * y runs down the plan. Walls are drawn as thick lines, segments as dimension
+ * lines, and both are labelled with their length.
+ */
+export const createFloorPlanSVG = (segments, walls, unit, precision) => {
+	const points = [...segments, ...walls].flatMap(({ start, end }) => [
+		start,
+		end,
+	]);
+	const min = new Vector2(Infinity, Infinity);
+	const max = new Vector2(-Infinity, -Infinity);
+	points.forEach((point) => {
+		min.min(point);
+		max.max(point);
+	});
+	const width = (max.x - min.x) * PX_PER_METER + PLAN_PADDING * 2;
+	const height = (max.y - min.y) * PX_PER_METER + PLAN_PADDING * 2;
+	const toPlan = (point) =>
+		new Vector2()
+			.subVectors(point, min)
+			.multiplyScalar(PX_PER_METER)
+			.addScalar(PLAN_PADDING);
+
+	const elements = [
+		`<rect width="100%" height="100%" fill="#ffffff"/>`,
+		...walls.map(({ start, end }) => {
+			const [a, b] = [toPlan(start), toPlan(end)];
+			return (
+				`<line x1="${format(a.x)}" y1="${format(a.y)}" x2="${format(b.x)}" ` +
+				`y2="${format(b.y)}" stroke="${WALL_COLOR}" stroke-width="6" ` +
+				`stroke-linecap="square"/>` +
+				drawDimension(
+					a,
+					b,
+					formatDistance(start.distanceTo(end), unit, precision),
+					WALL_COLOR,
+					-DIMENSION_OFFSET - 4,
+				)
+			);
+		}),
+		...segments.map(({ start, end, label }) => {
+			const [a, b] = [toPlan(start), toPlan(end)];
+			const distance = formatDistance(start.distanceTo(end), unit, precision);
+			return (
+				`<line x1="${format(a.x)}" y1="${format(a.y)}" x2="${format(b.x)}" ` +
+				`y2="${format(b.y)}" stroke="${MEASUREMENT_COLOR}" stroke-width="1.5"/>` +
+				drawTicks(a, b, MEASUREMENT_COLOR) +
+				drawDimension(
+					a,
+					b,
+					label ? `${label}: ${distance}` : distance,
+					MEASUREMENT_COLOR,
+					DIMENSION_OFFSET,
+				)
+			);
+		}),
+		// one meter scale bar in the bottom left corner
+		`<line x1="${PLAN_PADDING / 2}" y1="${format(height - PLAN_PADDING / 2)}" ` +
+			`x2="${PLAN_PADDING / 2 + PX_PER_METER}" y2="${format(height - PLAN_PADDING / 2)}" ` +
+			`stroke="#000000" stroke-width="2"/>` +
+			`<text x="${PLAN_PADDING / 2}" y="${format(height - PLAN_PADDING / 2 - 8)}" ` +
+			`fill="#000000">${escapeXML(formatDistance(1, unit, 'Low'))}</text>`,
+	];
+
+	return (
+		`<svg xmlns="http://www.w3.org/2000/svg" width="${format(width)}" ` +
+		`height="${format(height)}" viewBox="0 0 ${format(width)} ${format(height)}" ` +
+		`font-family="Inter, sans-serif" font-size="${FONT_SIZE}">` +
+		elements.join('') +
+		`</svg>`
+	);
+};
+
+/**
+ * Rasterizes an SVG string and resolves with a PNG blob.
+ */
+export const svgToPNG = (svg, scale = PNG_SCALE) =>
+	new Promise((resolve, reject) => {
+		const image = new Image();
+		const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+		image.onload = () => {
+			const canvas = document.createElement('canvas');
+			canvas.width = image.width * scale;
+			canvas.height = image.height * scale;
+			const context = canvas.getContext('2d');
+			context.scale(scale, scale);
+			context.drawImage(image, 0, 0);
+			URL.revokeObjectURL(url);
+			canvas.toBlob(resolve, 'image/png');
+		};
+		image.onerror = (error) => {
+			URL.revokeObjectURL(url);
+			reject(error);
+		};
+		image.src = url;
+	});
+
+/**
+ * FloorPlanSystem draws a floor plan of the room when the XR session ends,
+ * from the measurements that run level with the floor and the wall planes
+ * detected by ratk, and offers it as an SVG or PNG download on the 2D page.
+ */
+export class FloorPlanSystem extends System {
+	init() {
+		this._svg = null;
+		this._vec3Start = new Vector3();
+		this._vec3End = new Vector3();
+
+		const floorPlanPanel = document.getElementById('floor-plan-panel');
+		const preview = document.getElementById('floor-plan');
+		document.getElementById('export-svg-button').onclick = () => {
+			downloadFile(this._filename('svg'), this._svg, 'image/svg+xml');
+		};
+		document.getElementById('export-png-button').onclick = () => {
+			svgToPNG(this._svg)
+				.then((blob) => downloadFile(this._filename('png'), blob))
+				.catch((error) => {
+					console.warn('Failed to rasterize floor plan:', error);
+				});
+		};
+
+		const { renderer } = globals;
+		renderer.xr.addEventListener('sessionstart', () => {
+			floorPlanPanel.style.display = 'none';
+		});
+		renderer.xr.addEventListener('sessionend', () => {
+			const segments = this.buildSegments();
+			const walls = this.buildWalls();
+			if (segments.length === 0 && walls.length === 0) {
+				this._svg = null;
+				floorPlanPanel.style.display = 'none';
+				return;
+			}
+			const { valueStore } = globals;
+			this._svg = createFloorPlanSVG(
+				segments,
+				walls,
+				valueStore.get('unit'),
+				valueStore.get('precision'),
+			);
+			preview.innerHTML = this._svg;
+			floorPlanPanel.style.display = 'flex';
+		});
+	}
+
+	buildSegments() {
+		const segments = [];
+		this.getEntities(this.queries.measurements).forEach((measurement) => {
+			const measurementComponent =
+				measurement.getComponent(MeasurementComponent);
+			if (!isFinalized(measurementComponent)) return;
+			measurementComponent.marker1.getWorldPosition(this._vec3Start);
+			measurementComponent.marker2.getWorldPosition(this._vec3End);
+			const length = this._vec3Start.distanceTo(this._vec3End);
+			const rise = Math.abs(this._vec3End.y - this._vec3Start.y);
+			if (length === 0 || rise / length > MAX_HORIZONTAL_SLOPE) return;
+			segments.push({
+				start: new Vector2(this._vec3Start.x, this._vec3Start.z),
+				end: new Vector2(this._vec3End.x, this._vec3End.z),
+				label: measurementComponent.label,
+			});
+		});
+		return segments;
+	}
+
+	/**
+	 * Projects every vertical plane onto the floor, where it collapses into
+	 * the segment spanned by its polygon along the horizontal direction of the
+	 * plane.
+	 */
+	buildWalls() {
+		const walls = [];
+		const direction = new Vector3();
+		const point = new Vector3();
+		globals.ratk.planes.forEach((plane) => {
+			if (plane.orientation !== 'vertical' || !plane.xrPlane.polygon) return;
+			plane.updateWorldMatrix(true, false);
+			// the plane normal is the local Y axis, turn it into the floor
+			direction
+				.set(0, 1, 0)
+				.transformDirection(plane.matrixWorld)
+				.cross(new Vector3(0, 1, 0));
+			direction.y = 0;
+			if (direction.lengthSq() === 0) return;
+			direction.normalize();
+			let start = null;
+			let end = null;
+			let minProjection = Infinity;
+			let maxProjection = -Infinity;
+			plane.xrPlane.polygon.forEach(({ x, y, z }) => {
+				plane.localToWorld(point.set(x, y, z));
+				const projection = point.dot(direction);
+				if (projection < minProjection) {
+					minProjection = projection;
+					start = new Vector2(point.x, point.z);
+				}
+				if (projection > maxProjection) {
+					maxProjection = projection;
+					end = new Vector2(point.x, point.z);
+				}
+			});
+			if (start && maxProjection > minProjection) {
+				walls.push({ start, end });
+			}
+		});
+		return walls;
+	}
+
+	_filename(extension) {
+		const date = new Date().toISOString().slice(0, 10);
+		return `realmeasure-floor-plan-${date}.${extension}`;
+	}
+}
+
+FloorPlanSystem.queries = {
+	measurements: { required: [MeasurementComponent] },
+};
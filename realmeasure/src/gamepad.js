@@ -0,0 +1,36 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { XR_BUTTONS } from 'gamepad-wrapper';
+
+/**
+ * Creates an xr-standard gamepad stand-in for inputs without a gamepad of
+ * their own, such as tracked hands and the desktop simulator, so it can be
+ * wrapped by GamepadWrapper and read by the systems like any controller.
+ */
+export const createVirtualGamepad = () => ({
+	mapping: 'xr-standard',
+	buttons: Object.keys(XR_BUTTONS).map(() => ({
+		value: 0,
+		touched: false,
+		pressed: false,
+	})),
+	axes: [0, 0, 0, 0],
+	hapticActuators: [],
+});
+
+export const setVirtualButton = (gamepadWrapper, buttonId, pressed) => {
+	const button =
+		gamepadWrapper.gamepad.buttons[gamepadWrapper.getButtonIdx(buttonId)];
+	button.value = pressed ? 1 : 0;
+	button.touched = pressed;
+	button.pressed = pressed;
+};
+
+export const setVirtualAxis = (gamepadWrapper, axisId, value) => {
+	gamepadWrapper.gamepad.axes[gamepadWrapper.getAxisIdx(axisId)] = value;
+};
@@ -13,8 +13,12 @@ export const globals = {
 	camera: undefined,
 	scene: undefined,
 	ratk: undefined,
+	anchor: undefined,
 	playerHead: undefined,
 	controllers: undefined,
+	openPanel: null,
+	simulator: null,
+	sharing: null,
 	textureLoader: new TextureLoader(),
 	gltfLoader: new GLTFLoader(),
 	valueStore: new Map(),
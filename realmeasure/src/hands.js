@@ -0,0 +1,84 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { System } from 'elics';
+import { Vector3 } from 'three';
+import { XR_BUTTONS } from 'gamepad-wrapper';
+import { globals } from './global';
+import { setVirtualButton } from './gamepad';
+
+const PINCH_START_DISTANCE = 0.015;
+const PINCH_END_DISTANCE = 0.03;
+const PALM_UP_START_DOT = 0.8;
+const PALM_UP_END_DOT = 0.5;
+
+export const HAND_POINTER_JOINT = 'index-finger-tip';
+
+/**
+ * HandSystem turns WebXR hand joints into button presses on the gamepad
+ * stand-in of every tracked hand: pinching the thumb and index fingertips
+ * presses the trigger, and turning the palm up presses the thumbstick, which
+ * toggles the settings panel. It runs before PlayerSystem updates the
+ * gamepads so the presses are seen in the same frame.
+ */
+export class HandSystem extends System {
+	init() {
+		this._thumbVec3 = new Vector3();
+		this._indexVec3 = new Vector3();
+		this._wristVec3 = new Vector3();
+		this._indexBaseVec3 = new Vector3();
+		this._pinkyBaseVec3 = new Vector3();
+		this._palmNormal = new Vector3();
+	}
+
+	update() {
+		const { controllers } = globals;
+		['left', 'right'].forEach((handedness) => {
+			const controller = controllers[handedness];
+			if (!controller?.hand) return;
+
+			const { joints } = controller.hand;
+			const { userData, gamepad } = controller;
+			const tracked = [
+				'wrist',
+				'thumb-tip',
+				'index-finger-metacarpal',
+				'pinky-finger-metacarpal',
+				HAND_POINTER_JOINT,
+			].every((jointName) => joints[jointName]?.visible);
+			if (!tracked) {
+				userData.pinching = false;
+				userData.palmUp = false;
+			} else {
+				joints['thumb-tip'].getWorldPosition(this._thumbVec3);
+				joints[HAND_POINTER_JOINT].getWorldPosition(this._indexVec3);
+				const pinchDistance = this._thumbVec3.distanceTo(this._indexVec3);
+				userData.pinching = userData.pinching
+					? pinchDistance < PINCH_END_DISTANCE
+					: pinchDistance < PINCH_START_DISTANCE;
+
+				joints['wrist'].getWorldPosition(this._wristVec3);
+				joints['index-finger-metacarpal']
+					.getWorldPosition(this._indexBaseVec3)
+					.sub(this._wristVec3);
+				joints['pinky-finger-metacarpal']
+					.getWorldPosition(this._pinkyBaseVec3)
+					.sub(this._wristVec3);
+				// the bones are mirrored between hands, so is the palm normal
+				this._palmNormal
+					.crossVectors(this._indexBaseVec3, this._pinkyBaseVec3)
+					.normalize()
+					.multiplyScalar(handedness === 'left' ? -1 : 1);
+				userData.palmUp =
+					this._palmNormal.y >
+					(userData.palmUp ? PALM_UP_END_DOT : PALM_UP_START_DOT);
+			}
+			setVirtualButton(gamepad, XR_BUTTONS.TRIGGER, userData.pinching);
+			setVirtualButton(gamepad, XR_BUTTONS.THUMBSTICK, userData.palmUp);
+		});
+	}
+}
@@ -0,0 +1,154 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+	MeasurementComponent,
+	createMeasurementFromRecord,
+	isFinalized,
+	toMeasurementRecord,
+} from './measurement';
+import { XR_AXES, XR_BUTTONS } from 'gamepad-wrapper';
+
+import { System } from 'elics';
+import { globals } from './global';
+import { isOwnMeasurement } from './sharing';
+
+const MAX_HISTORY = 50;
+const FLICK_THRESHOLD = 0.8;
+const NEUTRAL_THRESHOLD = 0.3;
+
+const isSameSnapshot = (snapshotA, snapshotB) =>
+	snapshotA.size === snapshotB.size &&
+	[...snapshotA].every(
+		([uid, record]) =>
+			snapshotB.has(uid) &&
+			JSON.stringify(record) === JSON.stringify(snapshotB.get(uid)),
+	);
+
+/**
+ * HistorySystem keeps an undo/redo stack of the finished measurements. Whenever
+ * nothing is being drawn or dragged, the measurements are compared against the
+ * last snapshot, so creating, editing, deleting and purging each become one
+ * step. In a shared session only the measurements taken on this headset are
+ * tracked, so undoing never reverts what someone else did. Flicking either
+ * thumbstick left undoes and right redoes while the panels are closed.
+ */
+export class HistorySystem extends System {
+	init() {
+		this._undoStack = [];
+		this._redoStack = [];
+		this._snapshot = null;
+		this._flicked = { left: false, right: false };
+		globals.renderer.xr.addEventListener('sessionstart', () => {
+			this._undoStack = [];
+			this._redoStack = [];
+			this._snapshot = null;
+		});
+	}
+
+	update() {
+		const { anchor, controllers } = globals;
+		if (!anchor) {
+			this._snapshot = null;
+			return;
+		}
+
+		const measurementComponents = this.getEntities(
+			this.queries.measurements,
+		).map((measurement) => measurement.getComponent(MeasurementComponent));
+		const busy =
+			measurementComponents.some((component) => !isFinalized(component)) ||
+			['left', 'right'].some((handedness) => {
+				const userData = controllers[handedness]?.userData;
+				return userData?.path || userData?.editing || userData?.carryingBox;
+			});
+		if (busy) return;
+
+		const snapshot = new Map(
+			measurementComponents
+				.filter(isOwnMeasurement)
+				.map((measurementComponent) => [
+					measurementComponent.uid,
+					toMeasurementRecord(measurementComponent),
+				]),
+		);
+		if (!this._snapshot) {
+			this._snapshot = snapshot;
+		} else if (!isSameSnapshot(snapshot, this._snapshot)) {
+			this._undoStack.push(this._snapshot);
+			if (this._undoStack.length > MAX_HISTORY) this._undoStack.shift();
+			this._redoStack = [];
+			this._snapshot = snapshot;
+		}
+
+		['left', 'right'].forEach((handedness) => {
+			const gamepad = controllers[handedness]?.gamepad;
+			if (!gamepad) return;
+			const x = gamepad.getAxis(XR_AXES.THUMBSTICK_X) ?? 0;
+			if (Math.abs(x) < NEUTRAL_THRESHOLD) {
+				this._flicked[handedness] = false;
+				return;
+			}
+			if (
+				this._flicked[handedness] ||
+				Math.abs(x) < FLICK_THRESHOLD ||
+				globals.openPanel ||
+				gamepad.getButton(XR_BUTTONS.THUMBSTICK)
+			) {
+				return;
+			}
+			this._flicked[handedness] = true;
+			const applied =
+				x < 0
+					? this._travel(this._undoStack, this._redoStack)
+					: this._travel(this._redoStack, this._undoStack);
+			const hapticActuator = gamepad._gamepad.hapticActuators
+				? gamepad._gamepad.hapticActuators[0]
+				: null;
+			hapticActuator?.pulse(applied ? 0.5 : 0.1, applied ? 50 : 20);
+		});
+	}
+
+	/**
+	 * Restores the latest snapshot from one stack and pushes the current one
+	 * onto the other. Only measurements that differ are recreated, so the rest
+	 * keep their entities.
+	 */
+	_travel(fromStack, toStack) {
+		if (fromStack.length === 0) return false;
+		const target = fromStack.pop();
+		toStack.push(this._snapshot);
+
+		const present = new Set();
+		this.getEntities(this.queries.measurements).forEach((measurement) => {
+			const measurementComponent =
+				measurement.getComponent(MeasurementComponent);
+			if (!isOwnMeasurement(measurementComponent)) return;
+			const record = toMeasurementRecord(measurementComponent);
+			const targetRecord = target.get(record.uid);
+			if (
+				targetRecord &&
+				JSON.stringify(record) === JSON.stringify(targetRecord)
+			) {
+				present.add(record.uid);
+			} else {
+				measurement.destroy();
+			}
+		});
+		target.forEach((record, uid) => {
+			if (!present.has(uid)) {
+				createMeasurementFromRecord(this.world, globals.anchor, record);
+			}
+		});
+		this._snapshot = target;
+		return true;
+	}
+}
+
+HistorySystem.queries = {
+	measurements: { required: [MeasurementComponent] },
+};
@@ -10,12 +10,32 @@ import './styles/index.css';
 import { ARButton, RealityAccelerator } from 'ratk';
 import { MeasurementComponent, MeasurementSystem } from './measurement';
 
+import { AngleSystem } from './angle';
+import { AreaSystem } from './area';
+import { BoxSystem } from './box';
+import { CalibrationSystem } from './calibration';
+import { CaptureSystem } from './capture';
 import { ClampSystem } from './clamp';
 import { Clock } from 'three';
+import { DimensionSystem } from './dimension';
+import { EditSystem } from './edit';
+import { FitSystem } from './fit';
+import { FloorPlanSystem } from './floorplan';
+import { HandSystem } from './hands';
+import { HistorySystem } from './history';
+import { LaserSystem } from './laser';
+import { LevelSystem } from './level';
+import { PathSystem } from './path';
+import { PersistenceSystem } from './persistence';
 import { PlayerSystem } from './player';
 import { PointerSystem } from './pointer';
 import { PurgeSystem } from './purge';
+import { RangefinderSystem } from './rangefinder';
+import { ReportSystem } from './report';
 import { SettingsSystem } from './settings';
+import { SharingSystem } from './sharing';
+import { SimulatorSystem } from './simulator';
+import { StatisticsSystem } from './statistics';
 import { TapeSystem } from './tape';
 import { World } from 'elics';
 import { globals } from './global';
@@ -35,13 +55,33 @@ globals.scene.add(ratk.root);
 
 world
 	.registerComponent(MeasurementComponent)
+	.registerSystem(SimulatorSystem)
+	.registerSystem(HandSystem)
 	.registerSystem(PlayerSystem)
 	.registerSystem(SettingsSystem)
+	.registerSystem(StatisticsSystem)
 	.registerSystem(PointerSystem)
+	.registerSystem(CalibrationSystem)
+	.registerSystem(EditSystem)
 	.registerSystem(ClampSystem)
 	.registerSystem(TapeSystem)
+	.registerSystem(LaserSystem)
+	.registerSystem(LevelSystem)
+	.registerSystem(RangefinderSystem)
+	.registerSystem(FitSystem)
+	.registerSystem(PathSystem)
+	.registerSystem(DimensionSystem)
 	.registerSystem(PurgeSystem)
-	.registerSystem(MeasurementSystem);
+	.registerSystem(PersistenceSystem)
+	.registerSystem(ReportSystem)
+	.registerSystem(FloorPlanSystem)
+	.registerSystem(MeasurementSystem)
+	.registerSystem(HistorySystem)
+	.registerSystem(SharingSystem)
+	.registerSystem(AreaSystem)
+	.registerSystem(AngleSystem)
+	.registerSystem(BoxSystem)
+	.registerSystem(CaptureSystem);
 
 const { renderer } = globals;
 renderer.xr.setFramebufferScaleFactor(2);
@@ -57,7 +97,15 @@ webLaunchButton.style.display = 'none';
 
 // Convert the VR button and handle unsupported VR scenarios
 ARButton.convertToARButton(mrButton, renderer, {
-	optionalFeatures: ['local-floor', 'layers', 'anchors', 'unbounded'],
+	optionalFeatures: [
+		'local-floor',
+		'layers',
+		'anchors',
+		'unbounded',
+		'hand-tracking',
+		'plane-detection',
+		'mesh-detection',
+	],
 	onUnsupported: () => {
 		mrButton.style.display = 'none';
 		webLaunchButton.style.display = 'block';
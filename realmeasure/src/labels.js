@@ -0,0 +1,63 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const LABEL_CATEGORIES = [
+	'Wall',
+	'Window',
+	'Door',
+	'Ceiling',
+	'Floor',
+	'Furniture',
+];
+
+export const LABEL_PRESETS = ['None', ...LABEL_CATEGORIES, 'Custom'];
+
+export const LABEL_FILTERS = [
+	'All',
+	...LABEL_CATEGORIES,
+	'Custom',
+	'Unlabeled',
+];
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Returns the preset category a label starts with, 'Custom' for any other
+ * typed label and 'Unlabeled' when there is no label.
+ */
+export const getLabelCategory = (label) => {
+	if (!label) return 'Unlabeled';
+	const category = LABEL_CATEGORIES.find((preset) =>
+		new RegExp(`^${escapeRegExp(preset)}\\b`, 'i').test(label),
+	);
+	return category ?? 'Custom';
+};
+
+export const matchesLabelFilter = (label, filter) =>
+	!filter || filter === 'All' || getLabelCategory(label) === filter;
+
+/**
+ * Creates the label for a new measurement from the selected preset. Preset
+ * categories are numbered after the highest existing label of that category,
+ * e.g. "Window 3", and 'Custom' uses the text typed on the 2D page.
+ */
+export const createLabel = (preset, existingLabels) => {
+	if (!preset || preset === 'None') return null;
+	if (preset === 'Custom') {
+		const customLabel = document
+			.getElementById('label-input')
+			?.value.trim()
+			.slice(0, 40);
+		return customLabel || null;
+	}
+	const pattern = new RegExp(`^${escapeRegExp(preset)} (\\d+)$`);
+	const lastNumber = existingLabels.reduce((max, label) => {
+		const match = pattern.exec(label ?? '');
+		return match ? Math.max(max, Number(match[1])) : max;
+	}, 0);
+	return `${preset} ${lastNumber + 1}`;
+};
@@ -0,0 +1,154 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+	CylinderGeometry,
+	Mesh,
+	MeshBasicMaterial,
+	Object3D,
+	RingGeometry,
+	Vector3,
+} from 'three';
+import {
+	MeasurementComponent,
+	createUid,
+	isSameMeasurement,
+} from './measurement';
+
+import { System } from 'elics';
+import { XR_BUTTONS } from 'gamepad-wrapper';
+import { globals } from './global';
+import { raycastSurfaces } from './surfaces';
+import { snapToAxis } from './snap';
+
+const LASER_MAX_DISTANCE = 10;
+const LASER_IDLE_LENGTH = 0.5;
+const BEAM_GEOMETRY = new CylinderGeometry(0.001, 0.001, 1).rotateX(
+	Math.PI / 2,
+);
+const DOT_GEOMETRY = new RingGeometry(0.006, 0.01, 24);
+const LASER_MATERIAL = new MeshBasicMaterial({
+	color: 0xff3b30,
+	transparent: true,
+	opacity: 0.6,
+});
+
+/**
+ * LaserSystem measures at a distance: a ray is cast from the controller
+ * against the detected planes and room mesh, and the trigger drops the
+ * endpoints wherever it hits.
+ */
+export class LaserSystem extends System {
+	init() {
+		this._vec3 = new Vector3();
+	}
+
+	update() {
+		const { valueStore, controllers } = globals;
+		const active = valueStore.get('mode') === 'Laser';
+		['left', 'right'].forEach((handedness) => {
+			const controller = controllers[handedness];
+			if (!controller) return;
+
+			const { userData, gamepad, raySpace } = controller;
+
+			if (userData.laserMeasurement) {
+				const { measurement, uid } = userData.laserMeasurement;
+				if (!isSameMeasurement(measurement, uid)) {
+					// purged or removed while it was being drawn
+					userData.laserMeasurement = null;
+				}
+			}
+
+			if (!active) {
+				if (userData.laser) {
+					userData.laser.beam.visible = false;
+					userData.laser.dot.visible = false;
+				}
+				if (userData.laserMeasurement) {
+					userData.laserMeasurement.measurement.destroy();
+					userData.laserMeasurement = null;
+				}
+				return;
+			}
+
+			if (!gamepad) return;
+
+			if (!userData.laser) {
+				const beam = new Mesh(BEAM_GEOMETRY, LASER_MATERIAL);
+				const dot = new Mesh(DOT_GEOMETRY, LASER_MATERIAL);
+				raySpace.add(beam, dot);
+				userData.laser = { beam, dot };
+			}
+
+			const { beam, dot } = userData.laser;
+			const hit = raycastSurfaces(raySpace, LASER_MAX_DISTANCE);
+			const length = hit ? hit.distance : LASER_IDLE_LENGTH;
+			beam.visible = true;
+			beam.position.set(0, 0, -length / 2);
+			beam.scale.set(1, 1, length);
+			dot.visible = !!hit;
+			if (hit) {
+				dot.position.copy(raySpace.worldToLocal(hit.point.clone()));
+				if (hit.face) {
+					this._vec3
+						.copy(hit.face.normal)
+						.transformDirection(hit.object.matrixWorld)
+						.add(hit.point);
+					dot.lookAt(this._vec3);
+				}
+			}
+
+			if (userData.editing) return;
+
+			if (gamepad.getButtonClick(XR_BUTTONS.TRIGGER)) {
+				if (userData.laserMeasurement) {
+					userData.laserMeasurement.measurement.getComponent(
+						MeasurementComponent,
+					).attachedGamepads = [];
+					userData.laserMeasurement = null;
+				} else if (hit) {
+					const uid = createUid();
+					const measurement = this.world.createEntity();
+					measurement.addComponent(MeasurementComponent, {
+						uid,
+						position1: hit.point.clone(),
+						position2: hit.point.clone(),
+						attachedGamepads: [gamepad],
+						_object: new Object3D(),
+					});
+					userData.laserMeasurement = { measurement, uid };
+				}
+			}
+
+			if (userData.laserMeasurement) {
+				if (gamepad.getButton(XR_BUTTONS.BUTTON_1)) {
+					userData.laserMeasurement.measurement.destroy();
+					userData.laserMeasurement = null;
+					return;
+				}
+				const measurementComponent =
+					userData.laserMeasurement.measurement.getComponent(
+						MeasurementComponent,
+					);
+				if (!hit || !measurementComponent.marker1) return;
+				const pointerPosition = hit.point.clone();
+				if (gamepad.getButton(XR_BUTTONS.SQUEEZE)) {
+					measurementComponent.snap = true;
+					measurementComponent.snapAxis = snapToAxis(
+						pointerPosition,
+						measurementComponent.marker1.getWorldPosition(this._vec3),
+					);
+				} else {
+					measurementComponent.snap = false;
+					measurementComponent.snapAxis = null;
+				}
+				measurementComponent.position2 = pointerPosition;
+			}
+		});
+	}
+}
@@ -0,0 +1,127 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+	CylinderGeometry,
+	Group,
+	MathUtils,
+	Mesh,
+	MeshBasicMaterial,
+	SphereGeometry,
+	Vector3,
+} from 'three';
+import { SNAP_AXES, SNAP_COLOR, getAxisDeviation } from './snap';
+
+import { System } from 'elics';
+import { Text } from 'troika-three-text';
+import { globals } from './global';
+
+const LEVEL_TOLERANCE = MathUtils.degToRad(0.5);
+const BUBBLE_RANGE = MathUtils.degToRad(10);
+const VIAL_LENGTH = 0.06;
+const VIAL_GEOMETRY = new CylinderGeometry(0.006, 0.006, VIAL_LENGTH).rotateX(
+	Math.PI / 2,
+);
+const BUBBLE_GEOMETRY = new SphereGeometry(0.004);
+
+/**
+ * LevelSystem turns the controllers into spirit levels in Level mode. A vial
+ * on top of the controller holds a bubble that drifts towards the raised end,
+ * and the tilt of the controller's pointing direction from the nearest of
+ * horizontal and vertical is shown in degrees. Within half a degree the gizmo
+ * turns green and the controller pulses once.
+ */
+export class LevelSystem extends System {
+	init() {
+		this._direction = new Vector3();
+		this._right = new Vector3();
+		this._vec3 = new Vector3();
+	}
+
+	update() {
+		const { valueStore, controllers, playerHead } = globals;
+		const active = valueStore.get('mode') === 'Level';
+		['left', 'right'].forEach((handedness) => {
+			const controller = controllers[handedness];
+			if (!controller) return;
+
+			const { userData, gamepad, raySpace } = controller;
+			if (!userData.level) {
+				if (!active) return;
+				userData.level = this._createGizmo(raySpace);
+			}
+			const { gizmo, vial, bubble, text } = userData.level;
+			gizmo.visible = active;
+			if (!active) {
+				userData.level.aligned = false;
+				return;
+			}
+
+			raySpace.getWorldDirection(this._direction).negate();
+			const { axis, deviation } = getAxisDeviation(this._direction);
+			// level: the bubble drifts to the raised end of the controller,
+			// plumb: to the side the controller leans towards
+			let side;
+			if (axis === SNAP_AXES.Horizontal) {
+				side = -Math.sign(this._direction.y);
+			} else {
+				this._right.set(1, 0, 0).transformDirection(raySpace.matrixWorld);
+				this._vec3.copy(this._direction).setY(0);
+				side = -Math.sign(this._vec3.dot(this._right));
+			}
+			bubble.position.z =
+				side *
+				MathUtils.clamp(deviation / BUBBLE_RANGE, 0, 1) *
+				(VIAL_LENGTH / 2 - 0.004);
+
+			const aligned = deviation < LEVEL_TOLERANCE;
+			if (aligned && !userData.level.aligned) {
+				const hapticActuator = gamepad?._gamepad.hapticActuators
+					? gamepad._gamepad.hapticActuators[0]
+					: null;
+				hapticActuator?.pulse(0.6, 80);
+			}
+			userData.level.aligned = aligned;
+			const color = aligned ? SNAP_COLOR : 0xffffff;
+			vial.material.color.setHex(color);
+			bubble.material.color.setHex(color);
+			text.color = color;
+
+			const displayText = `${axis === SNAP_AXES.Horizontal ? 'Level' : 'Plumb'} ${MathUtils.radToDeg(deviation).toFixed(1)}°`;
+			if (displayText !== text.text) {
+				text.text = displayText;
+				text.sync();
+			}
+			text.lookAt(playerHead.position);
+		});
+	}
+
+	_createGizmo(raySpace) {
+		const gizmo = new Group();
+		const vial = new Mesh(
+			VIAL_GEOMETRY,
+			new MeshBasicMaterial({ transparent: true, opacity: 0.3 }),
+		);
+		const bubble = new Mesh(
+			BUBBLE_GEOMETRY,
+			new MeshBasicMaterial({ transparent: true, opacity: 0.8 }),
+		);
+		vial.renderOrder = 1;
+		bubble.renderOrder = 2;
+		const text = new Text();
+		text.fontSize = 0.01;
+		text.anchorX = 'center';
+		text.anchorY = 'bottom';
+		text.material.depthTest = false;
+		text.renderOrder = 999;
+		text.position.set(0, 0.012, 0);
+		gizmo.add(vial, bubble, text);
+		raySpace.add(gizmo);
+		gizmo.position.set(0, 0.02, -0.03);
+		return { gizmo, vial, bubble, text, aligned: false };
+	}
+}
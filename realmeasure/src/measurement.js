@@ -10,12 +10,22 @@ import {
 	CylinderGeometry,
 	Mesh,
 	MeshBasicMaterial,
-	Quaternion,
+	Object3D,
 	SphereGeometry,
 	Vector3,
 } from 'three';
+import { SNAP_AXES, SNAP_COLOR, getAxisDeviation } from './snap';
+import {
+	TARGET_COLORS,
+	TARGET_STATUS,
+	getTargetStatus,
+	pulseWithinTolerance,
+	readTargetInput,
+} from './target';
+import { createLabel, matchesLabelFilter } from './labels';
 
 import { Text } from 'troika-three-text';
+import { formatDistance } from './units';
 import { globals } from './global';
 
 const MARKER_GEOMETRY = new SphereGeometry(0.004);
@@ -27,6 +37,29 @@ const MEASUREMENT_MATERIAL = new MeshBasicMaterial({
 	opacity: 0.6,
 });
 
+export const PATH_TYPES = {
+	Path: 'path',
+	Area: 'area',
+	Angle: 'angle',
+	Box: 'box',
+	Plane: 'plane',
+};
+
+// prefixes of the width, depth and height segments of a box path
+const BOX_DIMENSIONS = ['W', 'D', 'H'];
+
+/**
+ * Returns the prefix of a segment of a dimensioned plane: the first edge is
+ * the width, the second the height of a wall or the depth of a floor.
+ */
+const getPlaneDimension = ({ pathIndex, marker1, marker2 }) => {
+	if (pathIndex === 0) return 'W';
+	const direction = marker2
+		.getWorldPosition(new Vector3())
+		.sub(marker1.getWorldPosition(new Vector3()));
+	return getAxisDeviation(direction).axis === SNAP_AXES.Vertical ? 'H' : 'D';
+};
+
 export class MeasurementComponent extends Component {
 	reset() {
 		this.marker1 = null;
@@ -38,33 +71,176 @@ export class MeasurementComponent extends Component {
 		this.position2 = null;
 		this.attachedGamepads = null;
 		this.snap = false;
+		this.targetStatus = null;
 		this._object.removeFromParent();
 	}
 }
 
+MeasurementComponent.defaults = {
+	snap: false,
+	snapAxis: null,
+	unit: null,
+	createdAt: null,
+	distance: 0,
+	pathId: null,
+	pathType: null,
+	pathIndex: 0,
+	pathClosed: false,
+	uid: null,
+	label: null,
+	target: null,
+	tolerance: null,
+	owner: null,
+	color: null,
+};
+
+// uids are shared between headsets, the random part keeps two pages started
+// in the same millisecond apart
+const UID_PREFIX = Math.random().toString(36).slice(2, 8);
+let nextUid = 0;
+export const createUid = () =>
+	`${UID_PREFIX}-${Date.now().toString(36)}-${(nextUid++).toString(36)}`;
+
+/**
+ * Whether an entity a system kept a reference to still holds the measurement
+ * with the given uid. Entities are pooled, so one destroyed elsewhere can
+ * already be active again as another measurement.
+ */
+export const isSameMeasurement = (measurement, uid) =>
+	!!measurement?.active &&
+	measurement.getComponent(MeasurementComponent)?.uid === uid;
+
+/**
+ * Whether a measurement has been initialized and is no longer being drawn.
+ */
+export const isFinalized = (measurementComponent) =>
+	!!measurementComponent.marker1 &&
+	!(measurementComponent.attachedGamepads?.length > 0);
+
+/**
+ * Writes the endpoints of an initialized measurement into target1 and
+ * target2, expressed in the space of the anchor the measurement is attached to.
+ */
+export const getAnchoredEndpoints = (
+	measurementComponent,
+	target1,
+	target2,
+) => {
+	const { marker1, marker2, _object } = measurementComponent;
+	_object.updateMatrix();
+	target1.copy(marker1.position).applyMatrix4(_object.matrix);
+	target2.copy(marker2.position).applyMatrix4(_object.matrix);
+};
+
+/**
+ * Groups the initialized segments of every path of the given type and returns,
+ * per path ID, its vertices in anchor space, whether the loop was closed and
+ * the label of the path.
+ */
+export const collectPathVertices = (measurementComponents, pathType) => {
+	const paths = new Map();
+	measurementComponents
+		.filter(
+			(measurementComponent) =>
+				measurementComponent.pathType === pathType &&
+				measurementComponent.marker1,
+		)
+		.sort((a, b) => a.pathIndex - b.pathIndex)
+		.forEach((measurementComponent) => {
+			const { pathId, pathClosed } = measurementComponent;
+			if (!paths.has(pathId)) {
+				paths.set(pathId, {
+					vertices: [],
+					closed: false,
+					label: measurementComponent.label,
+					end: null,
+				});
+			}
+			const path = paths.get(pathId);
+			const start = new Vector3();
+			const end = new Vector3();
+			getAnchoredEndpoints(measurementComponent, start, end);
+			path.vertices.push(start);
+			path.end = end;
+			path.closed ||= pathClosed;
+		});
+	paths.forEach((path) => {
+		if (!path.closed) path.vertices.push(path.end);
+		delete path.end;
+	});
+	return paths;
+};
+
+const roundCoordinate = (value) => Math.round(value * 1e5) / 1e5;
+
+/**
+ * Serializes an initialized measurement into a plain record, with endpoints
+ * in anchor space, that createMeasurementFromRecord can turn back into an
+ * entity.
+ */
+export const toMeasurementRecord = (measurementComponent) => {
+	const position1 = new Vector3();
+	const position2 = new Vector3();
+	getAnchoredEndpoints(measurementComponent, position1, position2);
+	return {
+		uid: measurementComponent.uid,
+		position1: position1.toArray().map(roundCoordinate),
+		position2: position2.toArray().map(roundCoordinate),
+		unit: measurementComponent.unit,
+		snap: measurementComponent.snap,
+		snapAxis: measurementComponent.snapAxis,
+		createdAt: measurementComponent.createdAt,
+		pathId: measurementComponent.pathId,
+		pathType: measurementComponent.pathType,
+		pathIndex: measurementComponent.pathIndex,
+		pathClosed: measurementComponent.pathClosed,
+		label: measurementComponent.label,
+		target: measurementComponent.target,
+		tolerance: measurementComponent.tolerance,
+		owner: measurementComponent.owner,
+		color: measurementComponent.color,
+	};
+};
+
+export const createMeasurementFromRecord = (world, anchor, record) => {
+	anchor.updateWorldMatrix(true, false);
+	const measurement = world.createEntity();
+	measurement.addComponent(MeasurementComponent, {
+		position1: anchor.localToWorld(new Vector3().fromArray(record.position1)),
+		position2: anchor.localToWorld(new Vector3().fromArray(record.position2)),
+		uid: record.uid ?? null,
+		unit: record.unit ?? null,
+		snap: !!record.snap,
+		snapAxis: record.snapAxis ?? null,
+		createdAt: record.createdAt ?? null,
+		pathId: record.pathId ?? null,
+		pathType: record.pathType ?? null,
+		pathIndex: record.pathIndex ?? 0,
+		pathClosed: !!record.pathClosed,
+		label: record.label ?? null,
+		target: record.target ?? null,
+		tolerance: record.tolerance ?? null,
+		owner: record.owner ?? null,
+		color: record.color ?? null,
+		_object: new Object3D(),
+	});
+	return measurement;
+};
+
 export class MeasurementSystem extends System {
 	init() {
 		this._vec3 = new Vector3();
-		const { renderer } = globals;
-		renderer.xr.addEventListener('sessionstart', () => {
-			this._justEnteredXR = true;
-		});
 	}
 
 	update() {
-		const { ratk, valueStore, scene, playerHead } = globals;
+		const { ratk, valueStore, scene, playerHead, anchor } = globals;
 		ratk.update();
-		if (this._justEnteredXR) {
-			ratk.createAnchor(new Vector3(), new Quaternion()).then((anchor) => {
-				this._anchor = anchor;
-			});
-		}
-		this._justEnteredXR = false;
-		if (!this._anchor) return;
-		const measurements = this.getEntities(this.queries.measurements);
-		measurements.forEach((measurement) => {
-			const measurementComponent =
-				measurement.getComponent(MeasurementComponent);
+		if (!anchor) return;
+		const measurementComponents = this.getEntities(
+			this.queries.measurements,
+		).map((measurement) => measurement.getComponent(MeasurementComponent));
+		const labelFilter = valueStore.get('labelFilter');
+		measurementComponents.forEach((measurementComponent) => {
 			if (!measurementComponent.marker1) {
 				// initialize the measurement object
 				const material = MEASUREMENT_MATERIAL.clone();
@@ -89,7 +265,28 @@ export class MeasurementSystem extends System {
 					measurementComponent.line,
 					measurementComponent.text,
 				);
-				this._anchor.attach(measurementComponent._object);
+				// the unit the measurement was taken in, kept with it when saved
+				measurementComponent.unit ??= valueStore.get('unit');
+				if (measurementComponent.createdAt === null) {
+					// only brand new measurements get a label from the settings,
+					// restored ones keep the one they were saved with
+					measurementComponent.createdAt = Date.now();
+					measurementComponent.label = this._createLabel(
+						measurementComponent,
+						measurementComponents,
+					);
+					// while sharing, new measurements show who took them
+					measurementComponent.owner = globals.sharing?.user ?? null;
+					measurementComponent.color = globals.sharing?.color ?? null;
+					if (valueStore.get('target') === 'On') {
+						Object.assign(
+							measurementComponent,
+							readTargetInput(valueStore.get('unit')),
+						);
+					}
+				}
+				measurementComponent.uid ??= createUid();
+				anchor.attach(measurementComponent._object);
 			}
 
 			const {
@@ -126,18 +323,24 @@ export class MeasurementSystem extends System {
 				line.scale.set(1, 1, pointerDistance);
 				text.position.copy(line.position);
 				text.position.y += 0.01;
-				const unit = valueStore.get('unit');
-				let displayText;
-				if (unit === 'Metric') {
-					displayText = (pointerDistance * 100).toFixed(1) + ' cm';
-				} else {
-					displayText = ((pointerDistance * 100) / 2.54).toFixed(1) + ' in';
-				}
-				if (displayText !== text.text) {
-					text.text = displayText;
-					text.sync();
+				measurementComponent.distance = pointerDistance;
+				const { target, tolerance, targetStatus } = measurementComponent;
+				let color = measurementComponent.snap
+					? SNAP_COLOR
+					: (measurementComponent.color ?? 0xffffff);
+				if (target !== null) {
+					const status = getTargetStatus(pointerDistance, target, tolerance);
+					if (
+						status === TARGET_STATUS.Within &&
+						targetStatus !== TARGET_STATUS.Within
+					) {
+						attachedGamepads?.forEach(pulseWithinTolerance);
+					}
+					measurementComponent.targetStatus = status;
+					color = TARGET_COLORS[status];
 				}
-				material.color.setHex(measurementComponent.snap ? 0x45bd63 : 0xffffff);
+				material.color.setHex(color);
+				text.color = target !== null ? color : 0xffffff;
 				if (attachedGamepads?.length > 0) {
 					if (
 						Math.floor(prevPointerDistance * 100) !=
@@ -152,8 +355,91 @@ export class MeasurementSystem extends System {
 					}
 				}
 			}
+			_object.visible =
+				attachedGamepads?.length > 0 ||
+				matchesLabelFilter(measurementComponent.label, labelFilter);
 			text.lookAt(playerHead.position);
 		});
+		this._updateLabels(
+			measurementComponents,
+			valueStore.get('unit'),
+			valueStore.get('precision'),
+		);
+	}
+
+	_createLabel(measurementComponent, measurementComponents) {
+		const { pathId } = measurementComponent;
+		// every segment of a path shares the label of its first segment
+		const pathSegment =
+			pathId !== null &&
+			measurementComponents.find(
+				(component) =>
+					component !== measurementComponent &&
+					component.pathId === pathId &&
+					component.createdAt !== null,
+			);
+		if (pathSegment) return pathSegment.label;
+		return createLabel(
+			globals.valueStore.get('label'),
+			measurementComponents.map((component) => component.label),
+		);
+	}
+
+	_updateLabels(measurementComponents, unit, precision) {
+		const components = measurementComponents.filter(
+			(measurementComponent) => measurementComponent.text,
+		);
+
+		// segments of a path also show the running total up to their end
+		const pathLengths = new Map();
+		const pathTotals = new Map();
+		components.forEach(({ pathId, pathIndex }) => {
+			if (pathId === null) return;
+			pathLengths.set(
+				pathId,
+				Math.max(pathLengths.get(pathId) ?? 0, pathIndex + 1),
+			);
+		});
+		components.sort((a, b) => a.pathIndex - b.pathIndex);
+
+		components.forEach((measurementComponent) => {
+			const {
+				pathId,
+				pathType,
+				pathIndex,
+				pathClosed,
+				distance,
+				label,
+				target,
+				tolerance,
+				text,
+			} = measurementComponent;
+			let displayText = formatDistance(distance, unit, precision);
+			if (pathType === PATH_TYPES.Box) {
+				displayText = `${BOX_DIMENSIONS[pathIndex]} ${displayText}`;
+			} else if (pathType === PATH_TYPES.Plane) {
+				displayText = `${getPlaneDimension(measurementComponent)} ${displayText}`;
+			}
+			if (label && (pathId === null || pathIndex === 0)) {
+				displayText = `${label}\n${displayText}`;
+			}
+			if (target !== null) {
+				displayText += `\nTarget ${formatDistance(target, unit, precision)} ± ${formatDistance(tolerance, unit, precision)}`;
+			}
+			if (pathType === PATH_TYPES.Path || pathType === PATH_TYPES.Area) {
+				const total = (pathTotals.get(pathId) ?? 0) + distance;
+				pathTotals.set(pathId, total);
+				if (pathIndex > 0) {
+					const isLast = pathIndex === pathLengths.get(pathId) - 1;
+					const totalLabel = pathClosed && isLast ? 'Perimeter' : 'Total';
+					displayText += `\n${totalLabel} ${formatDistance(total, unit, precision)}`;
+				}
+			}
+			if (displayText !== text.text) {
+				text.text = displayText;
+				text.sync();
+			}
+		});
 	}
 }
 
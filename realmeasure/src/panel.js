@@ -0,0 +1,119 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { Object3D, Vector3 } from 'three';
+
+import { Text } from 'troika-three-text';
+import { XR_BUTTONS } from 'gamepad-wrapper';
+import { globals } from './global';
+
+/**
+ * Panels opened in turn by clicking the thumbstick, null when all are closed.
+ */
+export const PANELS = {
+	Settings: 'settings',
+	Statistics: 'statistics',
+};
+
+export const PANEL_CYCLE = [null, PANELS.Settings, PANELS.Statistics];
+
+export const DIRECTIONS = {
+	Up: 'up',
+	Down: 'down',
+	Left: 'left',
+	Right: 'right',
+	None: 'none',
+};
+
+const _vec3 = new Vector3();
+const _targetVec3 = new Vector3();
+
+/**
+ * Returns the gamepad whose thumbstick navigates the open panel, preferring
+ * the right one when both are available.
+ */
+export const getNavigationGamepad = () => {
+	const leftGamepad = globals.controllers.left?.gamepad;
+	const rightGamepad = globals.controllers.right?.gamepad;
+	return rightGamepad?.get2DInputValue(XR_BUTTONS.THUMBSTICK)
+		? rightGamepad
+		: leftGamepad;
+};
+
+/**
+ * Maps the thumbstick of a gamepad to one of four directions, with a dead
+ * zone between them and in the center.
+ */
+export const getThumbstickDirection = (gamepad) => {
+	if (!(gamepad?.get2DInputValue(XR_BUTTONS.THUMBSTICK) > 0.7)) {
+		return DIRECTIONS.None;
+	}
+	const angle = gamepad.get2DInputAngle(XR_BUTTONS.THUMBSTICK);
+	if (Math.abs(angle) < Math.PI / 6) {
+		return DIRECTIONS.Up;
+	} else if (Math.abs(angle) > (Math.PI / 6) * 5) {
+		return DIRECTIONS.Down;
+	} else if (
+		Math.abs(angle) > Math.PI / 3 &&
+		Math.abs(angle) < (Math.PI / 3) * 2
+	) {
+		return angle > 0 ? DIRECTIONS.Right : DIRECTIONS.Left;
+	}
+	return DIRECTIONS.None;
+};
+
+/**
+ * Creates the hint shown just above a controller's ray, drawn over everything
+ * else so walls never hide it.
+ */
+export const createControllerHint = (raySpace, fontSize = 0.008) => {
+	const text = new Text();
+	text.fontSize = fontSize;
+	text.anchorX = 'center';
+	text.anchorY = 'bottom';
+	text.material.depthTest = false;
+	text.renderOrder = 999;
+	raySpace.add(text);
+	text.position.set(0, 0.03, -0.02);
+	return text;
+};
+
+/**
+ * Creates the point a meter in front of the player that panels float to.
+ */
+export const createPanelTarget = () => {
+	const target = new Object3D();
+	globals.playerHead.add(target);
+	target.position.set(0, 0, -1);
+	return target;
+};
+
+export const syncPanelTransform = (panel, target) => {
+	target.getWorldPosition(panel.position);
+	globals.playerHead.getWorldPosition(_vec3);
+	_vec3.y = panel.position.y;
+	panel.lookAt(_vec3);
+};
+
+/**
+ * Eases a panel towards its target once the player has turned away from it.
+ */
+export const followPanelTarget = (panel, target, delta) => {
+	globals.playerHead.getWorldPosition(_vec3);
+	target.getWorldPosition(_targetVec3);
+	_targetVec3.y = 0;
+	if (_targetVec3.length() > 0) {
+		_targetVec3.normalize();
+		_targetVec3.y = _vec3.y;
+		const distance = panel.position.distanceTo(_targetVec3);
+		if (distance > 0.05) {
+			panel.position.lerp(_targetVec3, delta * 2);
+			_vec3.y = panel.position.y;
+			panel.lookAt(_vec3);
+		}
+	}
+};
@@ -0,0 +1,193 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+	MeasurementComponent,
+	PATH_TYPES,
+	createUid,
+	isSameMeasurement,
+} from './measurement';
+import { Object3D, Vector3 } from 'three';
+import { findNearestPlane, getPlaneSurface } from './surfaces';
+
+import { System } from 'elics';
+import { XR_BUTTONS } from 'gamepad-wrapper';
+import { globals } from './global';
+import { snapToAxis } from './snap';
+
+const PATH_MODES = {
+	Path: PATH_TYPES.Path,
+	Area: PATH_TYPES.Area,
+	Angle: PATH_TYPES.Angle,
+	Box: PATH_TYPES.Box,
+};
+
+const PATH_CLOSE_DISTANCE = 0.02;
+const AREA_PLANE_DISTANCE = 0.1;
+const PATH_SEGMENT_LIMITS = {
+	[PATH_TYPES.Angle]: 2,
+	[PATH_TYPES.Box]: 3,
+};
+
+/**
+ * Keeps the edges of a box rectangular: the width is levelled, the depth runs
+ * horizontally at a right angle to the width and the height goes straight up.
+ */
+const constrainBoxEdge = (path, pointerPosition) => {
+	const offset = new Vector3().subVectors(pointerPosition, path.vertex);
+	if (path.segments.length === 2) {
+		const widthDirection = new Vector3().subVectors(path.vertex, path.start);
+		widthDirection.y = 0;
+		if (widthDirection.lengthSq() > 0) {
+			widthDirection.normalize();
+			const depthDirection = new Vector3(
+				-widthDirection.z,
+				0,
+				widthDirection.x,
+			);
+			offset.copy(depthDirection.multiplyScalar(offset.dot(depthDirection)));
+		}
+		offset.y = 0;
+	} else if (path.segments.length === 3) {
+		offset.x = 0;
+		offset.z = 0;
+	} else {
+		offset.y = 0;
+	}
+	pointerPosition.copy(path.vertex).add(offset);
+};
+
+/**
+ * PathSystem chains measurements into a polyline: every trigger press drops a
+ * vertex and starts a new segment, pressing the trigger back at the first
+ * vertex closes the loop, and BUTTON_1 finishes an open path. In Area mode the
+ * vertices are placed on the detected plane the first one was dropped on, and
+ * in Angle mode the path ends after its two arms. Box mode ends after the
+ * width, depth and height edges of a box, drawn from one of its corners.
+ */
+export class PathSystem extends System {
+	update() {
+		const { valueStore, controllers } = globals;
+		const pathType = PATH_MODES[valueStore.get('mode')];
+		['left', 'right'].forEach((handedness) => {
+			const controller = controllers[handedness];
+			if (!controller) return;
+
+			const { userData, gamepad } = controller;
+
+			if (userData.path) {
+				const { segments } = userData.path;
+				const { measurement, uid } = segments[segments.length - 1];
+				if (!isSameMeasurement(measurement, uid)) {
+					// purged while it was being drawn
+					userData.path = null;
+				} else if (userData.path.type !== pathType) {
+					measurement.destroy();
+					userData.path = null;
+				}
+			}
+
+			if (!pathType || !gamepad || userData.editing) return;
+
+			if (!userData.path) {
+				if (gamepad.getButtonClick(XR_BUTTONS.TRIGGER)) {
+					const position = userData.pointer.getWorldPosition(new Vector3());
+					let surface = null;
+					if (pathType === PATH_TYPES.Area) {
+						const plane = findNearestPlane(position, AREA_PLANE_DISTANCE);
+						if (!plane) {
+							const hapticActuator = gamepad._gamepad.hapticActuators
+								? gamepad._gamepad.hapticActuators[0]
+								: null;
+							hapticActuator?.pulse(0.5, 50);
+							return;
+						}
+						surface = getPlaneSurface(plane);
+						surface.projectPoint(position, position);
+					}
+					userData.path = {
+						id: createUid(),
+						type: pathType,
+						surface,
+						start: position.clone(),
+						vertex: position.clone(),
+						segments: [],
+					};
+					this._addSegment(userData.path, gamepad);
+				}
+				return;
+			}
+
+			const { path } = userData;
+			const segment = path.segments[path.segments.length - 1].measurement;
+			if (gamepad.getButtonClick(XR_BUTTONS.BUTTON_1)) {
+				// drop the segment following the pointer and keep the rest
+				segment.destroy();
+				userData.path = null;
+				return;
+			}
+
+			const pointerPosition = userData.pointer.getWorldPosition(new Vector3());
+			path.surface?.projectPoint(pointerPosition, pointerPosition);
+			const isBox = path.type === PATH_TYPES.Box;
+			if (isBox) constrainBoxEdge(path, pointerPosition);
+			const segmentComponent = segment.getComponent(MeasurementComponent);
+			const closing =
+				!isBox &&
+				path.segments.length > 2 &&
+				pointerPosition.distanceTo(path.start) < PATH_CLOSE_DISTANCE;
+			if (closing) {
+				pointerPosition.copy(path.start);
+				segmentComponent.snap = false;
+				segmentComponent.snapAxis = null;
+			} else if (
+				!path.surface &&
+				!isBox &&
+				gamepad.getButton(XR_BUTTONS.SQUEEZE)
+			) {
+				segmentComponent.snap = true;
+				segmentComponent.snapAxis = snapToAxis(pointerPosition, path.vertex);
+			} else {
+				segmentComponent.snap = false;
+				segmentComponent.snapAxis = null;
+			}
+			segmentComponent.position2 = pointerPosition;
+
+			if (gamepad.getButtonClick(XR_BUTTONS.TRIGGER)) {
+				segmentComponent.attachedGamepads = [];
+				if (closing) {
+					path.segments.forEach(({ measurement, uid }) => {
+						if (!isSameMeasurement(measurement, uid)) return;
+						measurement.getComponent(MeasurementComponent).pathClosed = true;
+					});
+					userData.path = null;
+				} else if (path.segments.length === PATH_SEGMENT_LIMITS[path.type]) {
+					userData.path = null;
+				} else {
+					path.vertex.copy(pointerPosition);
+					this._addSegment(path, gamepad);
+				}
+			}
+		});
+	}
+
+	_addSegment(path, gamepad) {
+		const uid = createUid();
+		const measurement = this.world.createEntity();
+		measurement.addComponent(MeasurementComponent, {
+			uid,
+			position1: path.vertex.clone(),
+			position2: path.vertex.clone(),
+			attachedGamepads: [gamepad],
+			pathId: path.id,
+			pathType: path.type,
+			pathIndex: path.segments.length,
+			_object: new Object3D(),
+		});
+		path.segments.push({ measurement, uid });
+	}
+}
@@ -0,0 +1,181 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { Group, Quaternion, Vector3 } from 'three';
+import {
+	MeasurementComponent,
+	createMeasurementFromRecord,
+	isFinalized,
+	toMeasurementRecord,
+} from './measurement';
+
+import { System } from 'elics';
+import { globals } from './global';
+
+const STORAGE_KEY = 'realmeasure:measurements';
+const SAVE_INTERVAL = 1;
+
+/**
+ * Reads the saved measurements, keyed by the persistent anchor ID of the room
+ * they were taken in.
+ */
+export const loadRooms = () => {
+	try {
+		const raw = localStorage.getItem(STORAGE_KEY);
+		if (!raw) return {};
+		const data = JSON.parse(raw);
+		return data?.rooms && typeof data.rooms === 'object' ? data.rooms : {};
+	} catch (e) {
+		console.warn('Failed to load measurements:', e);
+		return {};
+	}
+};
+
+const saveRooms = (rooms) => {
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify({ rooms }));
+	} catch (e) {
+		console.warn('Failed to save measurements:', e);
+	}
+};
+
+/**
+ * PersistenceSystem keeps measurements alive across sessions by storing them
+ * relative to a persistent anchor, and restoring them when a session starts in
+ * a room that anchor belongs to.
+ */
+export class PersistenceSystem extends System {
+	init() {
+		this._saveTimer = 0;
+		this._lastSaved = null;
+		const { renderer } = globals;
+		renderer.xr.addEventListener('sessionstart', () => {
+			this._justEnteredXR = true;
+		});
+		renderer.xr.addEventListener('sessionend', () => {
+			this._save();
+			this._fallbackAnchor?.removeFromParent();
+			this._fallbackAnchor = null;
+			globals.anchor = undefined;
+			this._restored = false;
+			this._anchorNeeded = false;
+		});
+	}
+
+	update(delta) {
+		if (this._justEnteredXR) {
+			// measurements from a previous session are attached to an anchor that
+			// no longer exists, they are restored from storage instead
+			this.getEntities(this.queries.measurements).forEach((measurement) => {
+				measurement.destroy();
+			});
+			this._resolveAnchor();
+		}
+		this._justEnteredXR = false;
+		if (this._anchorNeeded) {
+			this._anchorNeeded = false;
+			this._createAnchor();
+		}
+		const { anchor } = globals;
+		if (!anchor) return;
+
+		if (!this._restored) {
+			this._restore(anchor);
+			this._restored = true;
+			return;
+		}
+
+		this._saveTimer += delta;
+		if (this._saveTimer > SAVE_INTERVAL) {
+			this._saveTimer = 0;
+			this._save();
+		}
+	}
+
+	/**
+	 * Looks for a persistent anchor of a room with saved measurements. When
+	 * there is none, a new anchor is created from the next update, as ratk
+	 * creates anchors in the frame it is called in.
+	 */
+	async _resolveAnchor() {
+		const { ratk, simulator } = globals;
+		if (simulator) {
+			globals.anchor = simulator.anchor;
+			return;
+		}
+		try {
+			const rooms = loadRooms();
+			await ratk.restorePersistentAnchors();
+			const anchor = Array.from(ratk.persistentAnchors).find(
+				(persistentAnchor) => rooms[persistentAnchor.anchorID],
+			);
+			if (anchor) {
+				globals.anchor = anchor;
+				return;
+			}
+		} catch (e) {
+			console.warn('Failed to restore persistent anchors:', e);
+		}
+		this._anchorNeeded = true;
+	}
+
+	async _createAnchor() {
+		const { ratk, scene } = globals;
+		let anchor;
+		try {
+			anchor = await ratk.createAnchor(new Vector3(), new Quaternion());
+		} catch (e) {
+			console.warn('Failed to create anchor:', e);
+			// measuring still works, relative to the reference space, but
+			// nothing is persisted
+			anchor = new Group();
+			anchor.isPersistent = false;
+			scene.add(anchor);
+			this._fallbackAnchor = anchor;
+			globals.anchor = anchor;
+			return;
+		}
+		try {
+			await anchor.makePersistent();
+			// a room is written right away, even without measurements, so the
+			// next session finds its anchor instead of persisting another one
+			const rooms = loadRooms();
+			rooms[anchor.anchorID] = { measurements: [] };
+			saveRooms(rooms);
+		} catch (e) {
+			console.warn('Measurements will not be persisted:', e);
+		}
+		globals.anchor = anchor;
+	}
+
+	_restore(anchor) {
+		const records = loadRooms()[anchor.anchorID]?.measurements ?? [];
+		records.forEach((record) => {
+			createMeasurementFromRecord(this.world, anchor, record);
+		});
+		this._lastSaved = JSON.stringify(records);
+	}
+
+	_save() {
+		const { anchor } = globals;
+		if (!anchor?.isPersistent || !this._restored) return;
+		const records = this.getEntities(this.queries.measurements)
+			.map((measurement) => measurement.getComponent(MeasurementComponent))
+			.filter(isFinalized)
+			.map(toMeasurementRecord);
+		const serialized = JSON.stringify(records);
+		if (serialized === this._lastSaved) return;
+		const rooms = loadRooms();
+		rooms[anchor.anchorID] = { measurements: records };
+		saveRooms(rooms);
+		this._lastSaved = serialized;
+	}
+}
+
+PersistenceSystem.queries = {
+	measurements: { required: [MeasurementComponent] },
+};
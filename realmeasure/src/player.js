@@ -9,6 +9,7 @@ import { Group, Matrix4, Vector3 } from 'three';
 
 import { GamepadWrapper } from 'gamepad-wrapper';
 import { System } from 'elics';
+import { createVirtualGamepad } from './gamepad';
 import { globals } from './global';
 
 /**
@@ -25,19 +26,31 @@ export class PlayerSystem extends System {
 		for (let i = 0; i < 2; i++) {
 			const controllerGrip = renderer.xr.getControllerGrip(i);
 			scene.add(controllerGrip);
+			const hand = renderer.xr.getHand(i);
+			scene.add(hand);
 			const targetRaySpace = renderer.xr.getController(i);
 			targetRaySpace.addEventListener('connected', async function (event) {
 				this.handedness = event.data.handedness;
-				const gamepadWrapper = new GamepadWrapper(event.data.gamepad);
+				// tracked hands get a gamepad stand-in pressed by HandSystem
+				const gamepadWrapper = new GamepadWrapper(
+					event.data.hand ? createVirtualGamepad() : event.data.gamepad,
+				);
 				controllers[event.data.handedness] = {
 					raySpace: targetRaySpace,
 					gripSpace: controllerGrip,
+					hand: event.data.hand ? hand : null,
+					// controller models are told apart by their input profile
+					profile: event.data.profiles?.[0],
 					gamepad: gamepadWrapper,
 					userData: {},
 				};
 				scene.add(targetRaySpace, controllerGrip);
 			});
 			targetRaySpace.addEventListener('disconnected', function () {
+				// switching between hands and controllers reconnects the input
+				// source, drop what the systems attached to the previous one
+				controllers[this.handedness]?.pointerSpace?.removeFromParent();
+				this.clear();
 				delete controllers[this.handedness];
 			});
 			scene.add(targetRaySpace);
@@ -7,14 +7,22 @@
 
 import { Group, Mesh, MeshBasicMaterial, SphereGeometry, Vector3 } from 'three';
 
+import { HAND_POINTER_JOINT } from './hands';
+import { SNAP_COLOR } from './snap';
 import { System } from 'elics';
 import { XR_BUTTONS } from 'gamepad-wrapper';
+import { getPointerOffset } from './calibration';
 import { globals } from './global';
+import { snapToSurface } from './surfaces';
+
+const SURFACE_SNAP_DISTANCE = 0.03;
 
 export class PointerSystem extends System {
 	init() {
 		this._leftPointerVec3 = new Vector3();
 		this._rightPointerVec3 = new Vector3();
+		this._tipVec3 = new Vector3();
+		this._surfaceVec3 = new Vector3();
 	}
 
 	update() {
@@ -23,13 +31,24 @@ export class PointerSystem extends System {
 			const controller = controllers[handedness];
 			if (!controller) return;
 			if (!controller.userData.pointer) {
+				// hands point with the index fingertip, once it is tracked
+				const fingertip = controller.hand?.joints[HAND_POINTER_JOINT];
+				if (controller.hand && !fingertip) return;
 				controller.pointerSpace = new Group();
-				controller.raySpace.add(controller.pointerSpace);
-				controller.pointerSpace.position.set(
-					0.0074962213231061225 * (handedness === 'left' ? -1 : 1),
-					-0.06522086887323097,
-					0.10447758896833176,
-				);
+				if (fingertip) {
+					fingertip.add(controller.pointerSpace);
+				} else {
+					controller.raySpace.add(controller.pointerSpace);
+					getPointerOffset(
+						controller,
+						handedness,
+						controller.pointerSpace.position,
+					);
+				}
+				// the tip is where the pointer would be without surface snapping
+				const pointerTip = new Group();
+				controller.pointerSpace.add(pointerTip);
+				controller.userData.pointerTip = pointerTip;
 				const pointer = new Mesh(
 					new SphereGeometry(0.004),
 					new MeshBasicMaterial({ transparent: true, opacity: 0.6 }),
@@ -37,28 +56,57 @@ export class PointerSystem extends System {
 				controller.pointerSpace.add(pointer);
 				controller.userData.pointer = pointer;
 			}
+			this._snapPointer(controller);
 		});
 
 		const leftController = controllers.left;
 		const rightController = controllers.right;
-		if (leftController && rightController) {
+		if (leftController?.userData.pointer && rightController?.userData.pointer) {
 			if (
 				leftController.gamepad?.getButtonClick(XR_BUTTONS.BUTTON_2) ||
 				rightController.gamepad?.getButtonClick(XR_BUTTONS.BUTTON_2)
 			) {
 				[leftController, rightController].forEach((controller) => {
-					const pointer = controller.userData.pointer;
-					scene.attach(pointer);
+					const pointerTip = controller.userData.pointerTip;
+					scene.attach(pointerTip);
 					leftController.pointerSpace.getWorldPosition(this._leftPointerVec3);
 					rightController.pointerSpace.getWorldPosition(this._rightPointerVec3);
-					pointer.position.lerpVectors(
+					pointerTip.position.lerpVectors(
 						this._leftPointerVec3,
 						this._rightPointerVec3,
 						0.5,
 					);
-					controller.pointerSpace.attach(pointer);
+					controller.pointerSpace.attach(pointerTip);
 				});
 			}
 		}
 	}
+
+	_snapPointer(controller) {
+		const { pointer, pointerTip } = controller.userData;
+		pointerTip.getWorldPosition(this._tipVec3);
+		const snapped = snapToSurface(
+			this._tipVec3,
+			SURFACE_SNAP_DISTANCE,
+			this._surfaceVec3,
+		);
+		if (snapped) {
+			pointer.position.copy(
+				controller.pointerSpace.worldToLocal(this._surfaceVec3),
+			);
+		} else {
+			pointer.position.copy(pointerTip.position);
+		}
+		if (snapped !== !!controller.userData.surfaceSnapped) {
+			pointer.material.color.setHex(snapped ? SNAP_COLOR : 0xffffff);
+			pointer.scale.setScalar(snapped ? 1.5 : 1);
+			if (snapped) {
+				const hapticActuator = controller.gamepad?._gamepad.hapticActuators
+					? controller.gamepad._gamepad.hapticActuators[0]
+					: null;
+				hapticActuator?.pulse(0.3, 20);
+			}
+		}
+		controller.userData.surfaceSnapped = snapped;
+	}
 }
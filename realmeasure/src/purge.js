@@ -11,6 +11,7 @@ import { MeasurementComponent } from './measurement';
 import { System } from 'elics';
 import { XR_BUTTONS } from 'gamepad-wrapper';
 import { globals } from './global';
+import { isOwnMeasurement } from './sharing';
 
 const PURGE_PRESS_TIME = 3;
 const PURGE_RING_MATERIAL = new MeshBasicMaterial();
@@ -83,12 +84,11 @@ export class PurgeSystem extends System {
 		if (purging) {
 			const measurements = this.getEntities(this.queries.measurements);
 			measurements.forEach((measurement) => {
-				if (
-					!(
-						measurement.getComponent(MeasurementComponent).attachedGamepads
-							?.length > 0
-					)
-				) {
+				const measurementComponent =
+					measurement.getComponent(MeasurementComponent);
+				// in a shared session, the others' measurements are theirs to delete
+				if (globals.sharing && !isOwnMeasurement(measurementComponent)) return;
+				if (!(measurementComponent.attachedGamepads?.length > 0)) {
 					measurement.destroy();
 				}
 			});
@@ -0,0 +1,171 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+	BufferGeometry,
+	Line,
+	LineDashedMaterial,
+	Object3D,
+	Plane,
+	Vector3,
+} from 'three';
+import {
+	findFloorPlane,
+	findNearestWallPlane,
+	getPlaneSurface,
+} from './surfaces';
+
+import { MeasurementComponent } from './measurement';
+import { SNAP_AXES } from './snap';
+import { System } from 'elics';
+import { XR_BUTTONS } from 'gamepad-wrapper';
+import { createControllerHint } from './panel';
+import { formatDistance } from './units';
+import { globals } from './global';
+
+const GUIDE_MATERIAL = new LineDashedMaterial({
+	color: 0xffffff,
+	dashSize: 0.02,
+	gapSize: 0.01,
+	transparent: true,
+	opacity: 0.6,
+	depthTest: false,
+});
+
+const createGuide = () => {
+	const guide = new Line(
+		new BufferGeometry().setFromPoints([new Vector3(), new Vector3()]),
+		GUIDE_MATERIAL,
+	);
+	guide.frustumCulled = false;
+	guide.renderOrder = 998;
+	return guide;
+};
+
+const _vec3 = new Vector3();
+
+/**
+ * Moves a guide to run between two world positions; guides hang off the
+ * controller so they go away with it.
+ */
+const updateGuide = (guide, start, end) => {
+	const positions = guide.geometry.attributes.position;
+	guide.parent.updateWorldMatrix(true, false);
+	guide.parent.worldToLocal(_vec3.copy(start));
+	positions.setXYZ(0, _vec3.x, _vec3.y, _vec3.z);
+	guide.parent.worldToLocal(_vec3.copy(end));
+	positions.setXYZ(1, _vec3.x, _vec3.y, _vec3.z);
+	positions.needsUpdate = true;
+	guide.computeLineDistances();
+};
+
+/**
+ * RangefinderSystem runs the Rangefinder mode, a continuous readout of the
+ * pointer's height above the floor and its perpendicular distance to the
+ * nearest wall, for checking outlet and switch heights at a glance. Without
+ * a detected floor the floor of the reference space is used. Dashed guides
+ * show where both are taken, and the trigger keeps the current reading as
+ * permanent measurements.
+ */
+export class RangefinderSystem extends System {
+	init() {
+		this._pointerVec3 = new Vector3();
+		this._floorVec3 = new Vector3();
+		this._wallVec3 = new Vector3();
+		this._surface = new Plane();
+	}
+
+	update() {
+		const { valueStore, controllers } = globals;
+		const active = valueStore.get('mode') === 'Rangefinder';
+		['left', 'right'].forEach((handedness) => {
+			const controller = controllers[handedness];
+			if (!controller?.userData.pointer) return;
+
+			const { userData, gamepad, raySpace } = controller;
+			if (!userData.rangefinder) {
+				const text = createControllerHint(raySpace, 0.01);
+				const floorGuide = createGuide();
+				const wallGuide = createGuide();
+				raySpace.add(floorGuide, wallGuide);
+				userData.rangefinder = { text, floorGuide, wallGuide };
+			}
+			const { text, floorGuide, wallGuide } = userData.rangefinder;
+			text.visible = active;
+			floorGuide.visible = active;
+			wallGuide.visible = false;
+			if (!active) return;
+
+			const pointerPosition = userData.pointer.getWorldPosition(
+				this._pointerVec3,
+			);
+			const floorPlane = findFloorPlane(pointerPosition);
+			if (floorPlane) {
+				getPlaneSurface(floorPlane, this._surface).projectPoint(
+					pointerPosition,
+					this._floorVec3,
+				);
+			} else {
+				this._floorVec3.copy(pointerPosition).setY(0);
+			}
+			const height = pointerPosition.distanceTo(this._floorVec3);
+			updateGuide(floorGuide, pointerPosition, this._floorVec3);
+
+			const wallPlane = findNearestWallPlane(pointerPosition);
+			let wallDistance = null;
+			if (wallPlane) {
+				getPlaneSurface(wallPlane, this._surface).projectPoint(
+					pointerPosition,
+					this._wallVec3,
+				);
+				wallDistance = pointerPosition.distanceTo(this._wallVec3);
+				updateGuide(wallGuide, pointerPosition, this._wallVec3);
+				wallGuide.visible = true;
+			}
+
+			if (gamepad.getButtonClick(XR_BUTTONS.TRIGGER) && globals.anchor) {
+				this._createMeasurement(
+					pointerPosition,
+					this._floorVec3,
+					SNAP_AXES.Vertical,
+				);
+				if (wallPlane) {
+					this._createMeasurement(
+						pointerPosition,
+						this._wallVec3,
+						SNAP_AXES.Horizontal,
+					);
+				}
+				const hapticActuator = gamepad._gamepad.hapticActuators
+					? gamepad._gamepad.hapticActuators[0]
+					: null;
+				hapticActuator?.pulse(0.6, 100);
+			}
+
+			const unit = valueStore.get('unit');
+			const precision = valueStore.get('precision');
+			const displayText =
+				`Height ${formatDistance(height, unit, precision)}\n` +
+				`Wall ${wallDistance === null ? '--' : formatDistance(wallDistance, unit, precision)}`;
+			if (displayText !== text.text) {
+				text.text = displayText;
+				text.sync();
+			}
+			text.lookAt(globals.playerHead.position);
+		});
+	}
+
+	_createMeasurement(position1, position2, snapAxis) {
+		const measurement = this.world.createEntity();
+		measurement.addComponent(MeasurementComponent, {
+			position1: position1.clone(),
+			position2: position2.clone(),
+			snapAxis,
+			_object: new Object3D(),
+		});
+	}
+}
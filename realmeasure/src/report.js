@@ -0,0 +1,275 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+	CU_FEET_PER_CU_METER,
+	SQ_FEET_PER_SQ_METER,
+	toCentimeters,
+	toInches,
+} from './units';
+import { MathUtils, Vector3 } from 'three';
+import {
+	MeasurementComponent,
+	PATH_TYPES,
+	collectPathVertices,
+	getAnchoredEndpoints,
+	isFinalized,
+} from './measurement';
+import { TARGET_STATUS, getTargetStatus } from './target';
+import { getBoxEdges, getBoxVolume } from './box';
+import { getPolygonArea, getPolygonPerimeter } from './area';
+
+import { System } from 'elics';
+import { getVertexAngle } from './angle';
+import { globals } from './global';
+
+const DOWNLOAD_REVOKE_DELAY = 10000;
+
+const CSV_COLUMNS = [
+	'id',
+	'label',
+	'x1',
+	'y1',
+	'z1',
+	'x2',
+	'y2',
+	'z2',
+	'distance_cm',
+	'distance_in',
+	'target_cm',
+	'tolerance_cm',
+	'within_tolerance',
+	'snap_axis',
+	'path_type',
+	'path_id',
+	'path_index',
+	'timestamp',
+];
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * Returns the target columns of a row, left empty for measurements taken
+ * without a target.
+ */
+const getTargetColumns = ({ target, tolerance }, distance) =>
+	target === null
+		? {}
+		: {
+				target_cm: round(toCentimeters(target), 2),
+				tolerance_cm: round(toCentimeters(tolerance), 2),
+				within_tolerance:
+					getTargetStatus(distance, target, tolerance) === TARGET_STATUS.Within,
+			};
+
+// text starting with one of these is read as a formula by spreadsheet apps
+const FORMULA_PATTERN = /^[=+\-@]/;
+
+const escapeCSV = (value) => {
+	let str = String(value ?? '');
+	if (typeof value === 'string' && FORMULA_PATTERN.test(str)) {
+		str = `'${str}`;
+	}
+	return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+export const toCSV = (rows) =>
+	[
+		CSV_COLUMNS.join(','),
+		...rows.map((row) =>
+			CSV_COLUMNS.map((column) => escapeCSV(row[column])).join(','),
+		),
+	].join('\n');
+
+export const downloadFile = (filename, content, type) => {
+	const blob =
+		content instanceof Blob ? content : new Blob([content], { type });
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	// revoking right after the click can cancel a download not yet started
+	setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_REVOKE_DELAY);
+};
+
+/**
+ * ReportSystem collects every finished measurement when the XR session ends
+ * and offers it as a CSV or JSON download on the 2D page.
+ */
+export class ReportSystem extends System {
+	init() {
+		this._vec3Start = new Vector3();
+		this._vec3End = new Vector3();
+		this._rows = [];
+		this._areas = [];
+		this._angles = [];
+		this._boxes = [];
+
+		const exportPanel = document.getElementById('export-panel');
+		document.getElementById('export-csv-button').onclick = () => {
+			downloadFile(this._filename('csv'), toCSV(this._rows), 'text/csv');
+		};
+		document.getElementById('export-json-button').onclick = () => {
+			downloadFile(
+				this._filename('json'),
+				JSON.stringify(
+					{
+						measurements: this._rows,
+						areas: this._areas,
+						angles: this._angles,
+						boxes: this._boxes,
+					},
+					null,
+					2,
+				),
+				'application/json',
+			);
+		};
+
+		const { renderer } = globals;
+		renderer.xr.addEventListener('sessionstart', () => {
+			exportPanel.style.display = 'none';
+		});
+		renderer.xr.addEventListener('sessionend', () => {
+			this._rows = this.buildRows();
+			this._areas = this.buildAreas();
+			this._angles = this.buildAngles();
+			this._boxes = this.buildBoxes();
+			exportPanel.style.display = this._rows.length > 0 ? 'flex' : 'none';
+		});
+	}
+
+	buildRows() {
+		const rows = [];
+		this._getFinalizedComponents().forEach((measurementComponent) => {
+			getAnchoredEndpoints(
+				measurementComponent,
+				this._vec3Start,
+				this._vec3End,
+			);
+			const distance = this._vec3Start.distanceTo(this._vec3End);
+			rows.push({
+				id: rows.length + 1,
+				label: measurementComponent.label,
+				x1: round(this._vec3Start.x, 4),
+				y1: round(this._vec3Start.y, 4),
+				z1: round(this._vec3Start.z, 4),
+				x2: round(this._vec3End.x, 4),
+				y2: round(this._vec3End.y, 4),
+				z2: round(this._vec3End.z, 4),
+				distance_cm: round(toCentimeters(distance), 1),
+				distance_in: round(toInches(distance), 1),
+				...getTargetColumns(measurementComponent, distance),
+				snap_axis: measurementComponent.snapAxis ?? 'none',
+				path_type: measurementComponent.pathType,
+				path_id: measurementComponent.pathId,
+				path_index:
+					measurementComponent.pathId !== null
+						? measurementComponent.pathIndex
+						: null,
+				timestamp: new Date(
+					measurementComponent.createdAt ?? Date.now(),
+				).toISOString(),
+			});
+		});
+		return rows;
+	}
+
+	buildAreas() {
+		const areas = [];
+		const areaPaths = collectPathVertices(
+			this._getFinalizedComponents(),
+			PATH_TYPES.Area,
+		);
+		areaPaths.forEach(({ vertices, closed, label }, pathId) => {
+			if (!closed || vertices.length < 3) return;
+			const area = getPolygonArea(vertices);
+			const perimeter = getPolygonPerimeter(vertices);
+			areas.push({
+				path_id: pathId,
+				label,
+				area_m2: round(area, 3),
+				area_ft2: round(area * SQ_FEET_PER_SQ_METER, 2),
+				perimeter_cm: round(toCentimeters(perimeter), 1),
+				perimeter_in: round(toInches(perimeter), 1),
+				vertices: vertices.map((vertex) =>
+					vertex.toArray().map((value) => round(value, 4)),
+				),
+			});
+		});
+		return areas;
+	}
+
+	buildAngles() {
+		const angles = [];
+		const anglePaths = collectPathVertices(
+			this._getFinalizedComponents(),
+			PATH_TYPES.Angle,
+		);
+		anglePaths.forEach(({ vertices, label }, pathId) => {
+			if (vertices.length < 3) return;
+			angles.push({
+				path_id: pathId,
+				label,
+				degrees: round(MathUtils.radToDeg(getVertexAngle(vertices)), 1),
+				vertices: vertices.map((vertex) =>
+					vertex.toArray().map((value) => round(value, 4)),
+				),
+			});
+		});
+		return angles;
+	}
+
+	buildBoxes() {
+		const boxes = [];
+		const boxPaths = collectPathVertices(
+			this._getFinalizedComponents(),
+			PATH_TYPES.Box,
+		);
+		boxPaths.forEach(({ vertices, label }, pathId) => {
+			if (vertices.length !== 4) return;
+			const [width, depth, height] = getBoxEdges(vertices).map((edge) =>
+				edge.length(),
+			);
+			const volume = getBoxVolume(vertices);
+			boxes.push({
+				path_id: pathId,
+				label,
+				width_cm: round(toCentimeters(width), 1),
+				depth_cm: round(toCentimeters(depth), 1),
+				height_cm: round(toCentimeters(height), 1),
+				width_in: round(toInches(width), 1),
+				depth_in: round(toInches(depth), 1),
+				height_in: round(toInches(height), 1),
+				volume_m3: round(volume, 4),
+				volume_ft3: round(volume * CU_FEET_PER_CU_METER, 2),
+				vertices: vertices.map((vertex) =>
+					vertex.toArray().map((value) => round(value, 4)),
+				),
+			});
+		});
+		return boxes;
+	}
+
+	_getFinalizedComponents() {
+		return this.getEntities(this.queries.measurements)
+			.map((measurement) => measurement.getComponent(MeasurementComponent))
+			.filter(isFinalized);
+	}
+
+	_filename(extension) {
+		const date = new Date().toISOString().slice(0, 10);
+		return `realmeasure-${date}.${extension}`;
+	}
+}
+
+ReportSystem.queries = {
+	measurements: { required: [MeasurementComponent] },
+};
@@ -5,15 +5,26 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+import { DEFAULT_PRECISION, PRECISION_OPTIONS, UNIT_OPTIONS } from './units';
+import {
+	DIRECTIONS,
+	PANELS,
+	PANEL_CYCLE,
+	createPanelTarget,
+	followPanelTarget,
+	getNavigationGamepad,
+	getThumbstickDirection,
+	syncPanelTransform,
+} from './panel';
 import {
 	FrontSide,
 	Mesh,
 	MeshBasicMaterial,
-	Object3D,
 	PlaneGeometry,
 	SRGBColorSpace,
 	Vector3,
 } from 'three';
+import { LABEL_FILTERS, LABEL_PRESETS } from './labels';
 import { XR_AXES, XR_BUTTONS } from 'gamepad-wrapper';
 
 import { System } from 'elics';
@@ -21,26 +32,114 @@ import { Text } from 'troika-three-text';
 import { globals } from './global';
 
 const SETTING_ENTRIES = {
-	unit: { position: [0, 0.01, 0.001], options: ['Metric', 'Imperial'] },
-	mode: { position: [0, -0.1775, 0.001], options: ['Tape', 'Clamp'] },
+	unit: { position: [0, 0.01, 0.001], options: UNIT_OPTIONS },
+	mode: {
+		position: [0, -0.1775, 0.001],
+		options: [
+			'Tape',
+			'Clamp',
+			'Laser',
+			'Path',
+			'Area',
+			'Angle',
+			'Box',
+			'Dimension',
+			'Rangefinder',
+			'Fit',
+			'Level',
+			'Capture',
+			'Share',
+			'Calibrate',
+		],
+	},
 	tips: { position: [0, -0.365, 0.001], options: ['On', 'Off'] },
+	// entries below are not part of the settings texture, they are drawn on
+	// extra cards under the panel with their title
+	precision: {
+		position: [0, -0.6725, 0.001],
+		options: PRECISION_OPTIONS,
+		default: DEFAULT_PRECISION,
+		title: 'Precision',
+	},
+	label: {
+		position: [0, -0.86, 0.001],
+		options: LABEL_PRESETS,
+		title: 'Label',
+	},
+	labelFilter: {
+		position: [0, -1.0475, 0.001],
+		options: LABEL_FILTERS,
+		title: 'Show',
+	},
+	target: {
+		position: [0, -1.235, 0.001],
+		options: ['Off', 'On'],
+		title: 'Target',
+	},
+};
+
+const EXTRA_CARD_HEIGHT = 0.1875;
+const EXTRA_CARD_MATERIAL = new MeshBasicMaterial({
+	color: 0x6b6a78,
+	side: FrontSide,
+	transparent: true,
+	opacity: 0.95,
+});
+
+const STORAGE_KEY = 'realmeasure:settings';
+
+// bump when stored values need converting, and add a migration from the
+// previous version; entries that are added or removed need no migration
+const SETTINGS_VERSION = 1;
+const SETTINGS_MIGRATIONS = {
+	// [version]: (values) => values upgraded to version + 1
+};
+
+const loadSettings = () => {
+	try {
+		const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+		if (!data || !(data.version <= SETTINGS_VERSION)) return {};
+		let { values, version } = data;
+		for (; version < SETTINGS_VERSION; version++) {
+			values = SETTINGS_MIGRATIONS[version]?.(values) ?? values;
+		}
+		return values ?? {};
+	} catch (e) {
+		console.warn('Failed to load settings:', e);
+		return {};
+	}
 };
 
-const DIRECTIONS = {
-	Up: 'up',
-	Down: 'down',
-	Left: 'left',
-	Right: 'right',
-	None: 'none',
+const saveSettings = () => {
+	try {
+		const values = Object.fromEntries(
+			Object.keys(SETTING_ENTRIES).map((key) => [
+				key,
+				globals.valueStore.get(key),
+			]),
+		);
+		localStorage.setItem(
+			STORAGE_KEY,
+			JSON.stringify({ version: SETTINGS_VERSION, values }),
+		);
+	} catch (e) {
+		console.warn('Failed to save settings:', e);
+	}
 };
 
 export class SettingsSystem extends System {
 	init() {
 		this._vec3 = new Vector3();
-		this._targetVec3 = new Vector3();
 
+		// stored values that are no longer an option fall back to the default
+		const storedValues = loadSettings();
 		Object.entries(SETTING_ENTRIES).forEach(([key, config]) => {
-			globals.valueStore.set(key, config.options[0]);
+			globals.valueStore.set(
+				key,
+				config.options.includes(storedValues[key])
+					? storedValues[key]
+					: (config.default ?? config.options[0]),
+			);
 		});
 	}
 
@@ -69,6 +168,7 @@ export class SettingsSystem extends System {
 				text.position.fromArray(config.position);
 				text.position.y -= 0.02;
 				this._settingsTexts[key] = text;
+				if (config.title) this._addExtraCard(config);
 			});
 			this._currentSetting = Object.keys(SETTING_ENTRIES)[0];
 			globals.gltfLoader.load('assets/circle.glb', (gltf) => {
@@ -83,9 +183,7 @@ export class SettingsSystem extends System {
 				this._outlineCircle = outlineCircle;
 			});
 			this._settingsPanel.scale.setScalar(0.6);
-			this._target = new Object3D();
-			globals.playerHead.add(this._target);
-			this._target.position.set(0, 0, -1);
+			this._target = createPanelTarget();
 		}
 
 		['left', 'right'].forEach((handedness) => {
@@ -109,7 +207,8 @@ export class SettingsSystem extends System {
 				controlsPanel.position.set(0, 0.05, -0.05);
 				controller.userData.controlsPanel = controlsPanel;
 			}
-			if (globals.valueStore.get('tips') === 'On') {
+			// the tips picture the controller buttons, they don't apply to hands
+			if (globals.valueStore.get('tips') === 'On' && !controller.hand) {
 				controller.userData.controlsPanel.visible = true;
 				globals.playerHead.getWorldPosition(this._vec3);
 				controller.userData.controlsPanel.lookAt(this._vec3);
@@ -119,7 +218,7 @@ export class SettingsSystem extends System {
 		});
 
 		globals.renderer.xr.addEventListener('sessionstart', () => {
-			this._syncTransform();
+			syncPanelTransform(this._settingsPanel, this._target);
 		});
 
 		const leftGamepad = globals.controllers.left?.gamepad;
@@ -129,85 +228,55 @@ export class SettingsSystem extends System {
 			leftGamepad?.getButtonClick(XR_BUTTONS.THUMBSTICK) ||
 			rightGamepad?.getButtonClick(XR_BUTTONS.THUMBSTICK)
 		) {
-			this._settingsPanel.visible = !this._settingsPanel.visible;
+			// clicking cycles through the panels and back to none of them
+			globals.openPanel =
+				PANEL_CYCLE[
+					(PANEL_CYCLE.indexOf(globals.openPanel) + 1) % PANEL_CYCLE.length
+				];
+			this._settingsPanel.visible = globals.openPanel === PANELS.Settings;
 			if (this._settingsPanel.visible) {
-				this._syncTransform();
+				syncPanelTransform(this._settingsPanel, this._target);
 			}
 		}
 
-		globals.playerHead.getWorldPosition(this._vec3);
-		this._target.getWorldPosition(this._targetVec3);
-		this._targetVec3.y = 0;
-		if (this._targetVec3.length() > 0) {
-			this._targetVec3.normalize();
-			this._targetVec3.y = this._vec3.y;
-			const distance = this._settingsPanel.position.distanceTo(
-				this._targetVec3,
-			);
-			if (distance > 0.05) {
-				this._settingsPanel.position.lerp(this._targetVec3, delta * 2);
-				this._vec3.y = this._settingsPanel.position.y;
-				this._settingsPanel.lookAt(this._vec3);
-			}
-		}
+		followPanelTarget(this._settingsPanel, this._target, delta);
 
 		if (!this._settingsPanel.visible) return;
 
-		const gamepad = rightGamepad?.get2DInputValue(XR_BUTTONS.THUMBSTICK)
-			? rightGamepad
-			: leftGamepad;
-
-		if (gamepad?.get2DInputValue(XR_BUTTONS.THUMBSTICK) > 0.7) {
-			const angle = gamepad.get2DInputAngle(XR_BUTTONS.THUMBSTICK);
-			let direction = DIRECTIONS.None;
-			if (Math.abs(angle) < Math.PI / 6) {
-				direction = DIRECTIONS.Up;
-			} else if (Math.abs(angle) > (Math.PI / 6) * 5) {
-				direction = DIRECTIONS.Down;
-			} else if (
-				Math.abs(angle) > Math.PI / 3 &&
-				Math.abs(angle) < (Math.PI / 3) * 2
-			) {
-				if (angle > 0) {
-					direction = DIRECTIONS.Right;
-				} else {
-					direction = DIRECTIONS.Left;
-				}
-			}
-			if (direction !== DIRECTIONS.None && direction !== this._prevDirection) {
-				const hapticActuator = gamepad._gamepad.hapticActuators
-					? gamepad._gamepad.hapticActuators[0]
-					: null;
-				if (direction === DIRECTIONS.Up || direction === DIRECTIONS.Down) {
-					const settingEntryIdx = Object.keys(SETTING_ENTRIES).indexOf(
-						this._currentSetting,
-					);
-					const newEntryIdx =
-						(direction === DIRECTIONS.Up
-							? settingEntryIdx - 1 + Object.keys(SETTING_ENTRIES).length
-							: settingEntryIdx + 1) % Object.keys(SETTING_ENTRIES).length;
-					this._currentSetting = Object.keys(SETTING_ENTRIES)[newEntryIdx];
-					hapticActuator?.pulse(0.2, 100);
-				} else {
-					const settingOptions = SETTING_ENTRIES[this._currentSetting].options;
-					const optionIdx = settingOptions.indexOf(
-						globals.valueStore.get(this._currentSetting),
-					);
-					const newOptionIdx =
-						(direction === DIRECTIONS.Left
-							? optionIdx - 1 + settingOptions.length
-							: optionIdx + 1) % settingOptions.length;
-					const newOption = settingOptions[newOptionIdx];
-					globals.valueStore.set(this._currentSetting, newOption);
-					this._settingsTexts[this._currentSetting].text = newOption;
-					this._settingsTexts[this._currentSetting].sync();
-					hapticActuator?.pulse(0.3, 50);
-				}
+		const gamepad = getNavigationGamepad();
+		const direction = getThumbstickDirection(gamepad);
+		if (direction !== DIRECTIONS.None && direction !== this._prevDirection) {
+			const hapticActuator = gamepad._gamepad.hapticActuators
+				? gamepad._gamepad.hapticActuators[0]
+				: null;
+			if (direction === DIRECTIONS.Up || direction === DIRECTIONS.Down) {
+				const settingEntryIdx = Object.keys(SETTING_ENTRIES).indexOf(
+					this._currentSetting,
+				);
+				const newEntryIdx =
+					(direction === DIRECTIONS.Up
+						? settingEntryIdx - 1 + Object.keys(SETTING_ENTRIES).length
+						: settingEntryIdx + 1) % Object.keys(SETTING_ENTRIES).length;
+				this._currentSetting = Object.keys(SETTING_ENTRIES)[newEntryIdx];
+				hapticActuator?.pulse(0.2, 100);
+			} else {
+				const settingOptions = SETTING_ENTRIES[this._currentSetting].options;
+				const optionIdx = settingOptions.indexOf(
+					globals.valueStore.get(this._currentSetting),
+				);
+				const newOptionIdx =
+					(direction === DIRECTIONS.Left
+						? optionIdx - 1 + settingOptions.length
+						: optionIdx + 1) % settingOptions.length;
+				const newOption = settingOptions[newOptionIdx];
+				globals.valueStore.set(this._currentSetting, newOption);
+				saveSettings();
+				this._settingsTexts[this._currentSetting].text = newOption;
+				this._settingsTexts[this._currentSetting].sync();
+				hapticActuator?.pulse(0.3, 50);
 			}
-			this._prevDirection = direction;
-		} else {
-			this._prevDirection = DIRECTIONS.None;
 		}
+		this._prevDirection = direction;
 
 		let x = gamepad?.getAxis(XR_AXES.THUMBSTICK_X) ?? 0;
 		let y = gamepad?.getAxis(XR_AXES.THUMBSTICK_Y) ?? 0;
@@ -220,10 +289,23 @@ export class SettingsSystem extends System {
 		}
 	}
 
-	_syncTransform() {
-		this._target.getWorldPosition(this._settingsPanel.position);
-		globals.playerHead.getWorldPosition(this._vec3);
-		this._vec3.y = this._settingsPanel.position.y;
-		this._settingsPanel.lookAt(this._vec3);
+	_addExtraCard(config) {
+		const card = new Mesh(
+			new PlaneGeometry(0.9, EXTRA_CARD_HEIGHT - 0.02),
+			EXTRA_CARD_MATERIAL,
+		);
+		card.position.fromArray(config.position);
+		card.position.z = 0;
+		const title = new Text();
+		title.text = config.title;
+		title.fontSize = 0.05;
+		title.fontWeight = 'bold';
+		title.color = 0xd9d9d9;
+		title.anchorX = 'center';
+		title.anchorY = 'middle';
+		title.sync();
+		card.add(title);
+		title.position.set(0, 0.045, 0.001);
+		this._settingsPanel.add(card);
 	}
 }
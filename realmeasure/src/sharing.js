@@ -0,0 +1,474 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { AxesHelper, Matrix4, Object3D, Vector3 } from 'three';
+import {
+	MeasurementComponent,
+	createMeasurementFromRecord,
+	isFinalized,
+	toMeasurementRecord,
+} from './measurement';
+
+import { System } from 'elics';
+import { XR_BUTTONS } from 'gamepad-wrapper';
+import { createControllerHint } from './panel';
+import { globals } from './global';
+
+const SHARE_PARAM = 'share';
+const RELAY_PARAM = 'relay';
+const RELAY_PATH = '/relay';
+const USER_STORAGE_KEY = 'realmeasure:user';
+const SHARED_ANCHOR_STORAGE_KEY = 'realmeasure:shared-anchors';
+const RECONNECT_DELAY = 2000;
+const MIN_DIRECTION_LENGTH = 0.1;
+
+// handed out by the color slot the relay assigns, apart from the snap and
+// target colors
+const SHARING_COLORS = [
+	0x4fa3f7, 0xc77dff, 0xff8fab, 0xffd166, 0x5ee0d0, 0xf28c28,
+];
+
+/**
+ * Returns the address of the relay, given with `?relay=` in the URL or else
+ * the `/relay` path the development server forwards to the local relay.
+ */
+const getRelayUrl = () => {
+	const relay = new URLSearchParams(window.location.search).get(RELAY_PARAM);
+	if (relay) return relay;
+	const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+	return `${protocol}//${window.location.host}${RELAY_PATH}`;
+};
+
+let user = null;
+
+/**
+ * Returns the ID this browser shares measurements under, kept across sessions
+ * so measurements restored later still know who took them.
+ */
+export const getUser = () => {
+	if (user) return user;
+	try {
+		user = localStorage.getItem(USER_STORAGE_KEY);
+		if (!user) {
+			user = Math.random().toString(36).slice(2, 10);
+			localStorage.setItem(USER_STORAGE_KEY, user);
+		}
+	} catch (e) {
+		console.warn('Failed to load user:', e);
+		user ??= Math.random().toString(36).slice(2, 10);
+	}
+	return user;
+};
+
+/**
+ * Whether a measurement was taken on this headset, rather than by someone
+ * else in a shared session.
+ */
+export const isOwnMeasurement = ({ owner }) =>
+	owner === null || owner === getUser();
+
+const loadSharedAnchors = () => {
+	try {
+		return JSON.parse(localStorage.getItem(SHARED_ANCHOR_STORAGE_KEY)) ?? {};
+	} catch (e) {
+		console.warn('Failed to load shared anchors:', e);
+		return {};
+	}
+};
+
+const saveSharedAnchor = (anchorID, sharedAnchor) => {
+	try {
+		const sharedAnchors = loadSharedAnchors();
+		sharedAnchors[anchorID] = {
+			position: sharedAnchor.position.toArray(),
+			quaternion: sharedAnchor.quaternion.toArray(),
+		};
+		localStorage.setItem(
+			SHARED_ANCHOR_STORAGE_KEY,
+			JSON.stringify(sharedAnchors),
+		);
+	} catch (e) {
+		console.warn('Failed to save shared anchor:', e);
+	}
+};
+
+/**
+ * Returns the name of the shared session typed on the 2D page, or else given
+ * with `?share=` in the URL, which the simulator needs as it starts at once.
+ */
+const getSharedSession = () =>
+	document.getElementById('share-input')?.value.trim() ||
+	new URLSearchParams(window.location.search).get(SHARE_PARAM)?.trim();
+
+const roundCoordinate = (value) => Math.round(value * 1e5) / 1e5;
+
+/**
+ * SharingSystem lets two or more headsets look at the same measurements. When
+ * a shared session name is typed on the 2D page, a session connects to the
+ * relay and joins everyone else who typed the same name. Every measurement
+ * taken, edited or deleted by one of them is then sent to the others as a
+ * record, like the ones saved to storage, and carries the ID and color of the
+ * person who took it.
+ *
+ * Each headset tracks the room in its own coordinates, so records travel
+ * relative to a shared anchor instead: in the Share mode, everyone marks the
+ * same corner with the trigger and then a point further along the same edge.
+ * The shared anchor is kept with the room, so it only needs marking once.
+ * Nothing is sent or applied before it is marked. In the simulator every tab
+ * shares the same virtual room, so its anchor is used as is.
+ */
+export class SharingSystem extends System {
+	init() {
+		this.user = getUser();
+		this.color = null;
+		this.room = null;
+		this._socket = null;
+		this._peers = new Map();
+		this._known = new Map();
+		// the latest record received per uid, null once it was removed
+		this._pending = new Map();
+		this._sharedAnchor = null;
+		this._sharedAnchorResolved = false;
+		this._origin = null;
+		this._inverse = new Matrix4();
+		this._vec3 = new Vector3();
+
+		const { renderer } = globals;
+		renderer.xr.addEventListener('sessionstart', () => {
+			const room = getSharedSession();
+			if (room) this._connect(room);
+		});
+		renderer.xr.addEventListener('sessionend', () => {
+			this._disconnect();
+			this._sharedAnchor?.removeFromParent();
+			this._sharedAnchor = null;
+			this._sharedAnchorResolved = false;
+			this._origin = null;
+		});
+	}
+
+	update() {
+		const { anchor } = globals;
+		if (!anchor) return;
+		if (!this._sharedAnchorResolved) {
+			this._resolveSharedAnchor(anchor);
+			this._sharedAnchorResolved = true;
+		}
+		this._updateControllers();
+		if (!this._sharedAnchor || !globals.sharing) return;
+
+		this._sharedAnchor.updateMatrix();
+		this._inverse.copy(this._sharedAnchor.matrix).invert();
+		this._applyMessages();
+		this._sendChanges();
+	}
+
+	_connect(room) {
+		this.room = room;
+		let socket;
+		try {
+			socket = new WebSocket(getRelayUrl());
+		} catch (e) {
+			console.warn('Failed to connect to the relay:', e);
+			return;
+		}
+		this._socket = socket;
+		socket.onopen = () => {
+			socket.send(JSON.stringify({ type: 'join', room, user: this.user }));
+		};
+		socket.onmessage = (event) => {
+			try {
+				this._receive(JSON.parse(event.data));
+			} catch (e) {
+				console.warn('Failed to read shared message:', e);
+			}
+		};
+		socket.onerror = (e) => {
+			console.warn('Failed to reach the relay:', e);
+		};
+		socket.onclose = () => {
+			if (this._socket !== socket) return;
+			this._socket = null;
+			this._peers.clear();
+			globals.sharing = null;
+			// keep trying while the session lasts, the relay may restart
+			setTimeout(() => {
+				if (this.room === room && !this._socket) this._connect(room);
+			}, RECONNECT_DELAY);
+		};
+	}
+
+	_disconnect() {
+		const socket = this._socket;
+		this.room = null;
+		this._socket = null;
+		this._peers.clear();
+		this._known.clear();
+		this._pending.clear();
+		globals.sharing = null;
+		socket?.close();
+	}
+
+	_receive(message) {
+		switch (message.type) {
+			case 'welcome':
+				this.color = SHARING_COLORS[message.slot % SHARING_COLORS.length];
+				message.peers.forEach(({ user, slot }) => {
+					this._peers.set(user, slot);
+				});
+				// everything is sent again, the others may have missed changes
+				this._known.clear();
+				globals.sharing = this;
+				break;
+			case 'peer-joined':
+				this._peers.set(message.user, message.slot);
+				this._known.clear();
+				break;
+			case 'peer-left':
+				this._peers.delete(message.user);
+				break;
+			// applied on the next update, once the shared anchor is known
+			case 'upsert':
+				message.records.forEach((record) => {
+					this._pending.set(record.uid, record);
+				});
+				break;
+			case 'remove':
+				message.uids.forEach((uid) => {
+					this._pending.set(uid, null);
+				});
+				break;
+		}
+	}
+
+	/**
+	 * Recreates the measurements other people changed, with their endpoints
+	 * given relative to the shared anchor, and destroys the ones they deleted.
+	 */
+	_applyMessages() {
+		if (this._pending.size === 0) return;
+		const measurements = new Map(
+			this.getEntities(this.queries.measurements).map((measurement) => [
+				measurement.getComponent(MeasurementComponent).uid,
+				measurement,
+			]),
+		);
+		this._pending.forEach((record, uid) => {
+			const measurement = measurements.get(uid);
+			if (!record) {
+				measurement?.destroy();
+				this._known.delete(uid);
+				return;
+			}
+			const serialized = JSON.stringify(record);
+			this._known.set(uid, serialized);
+			if (measurement) {
+				// everything is sent again when someone joins, measurements that
+				// are already the same are left alone
+				const measurementComponent =
+					measurement.getComponent(MeasurementComponent);
+				if (
+					isFinalized(measurementComponent) &&
+					JSON.stringify(this._toSharedRecord(measurementComponent)) ===
+						serialized
+				) {
+					return;
+				}
+				measurement.destroy();
+			}
+			createMeasurementFromRecord(this.world, this._sharedAnchor, record);
+		});
+		this._pending.clear();
+	}
+
+	/**
+	 * Like HistorySystem, compares the finished measurements against what the
+	 * others were last told whenever nothing is being drawn or dragged, and
+	 * sends what changed.
+	 */
+	_sendChanges() {
+		const { controllers } = globals;
+		const measurementComponents = this.getEntities(
+			this.queries.measurements,
+		).map((measurement) => measurement.getComponent(MeasurementComponent));
+		const busy =
+			measurementComponents.some((component) => !isFinalized(component)) ||
+			['left', 'right'].some((handedness) => {
+				const userData = controllers[handedness]?.userData;
+				return userData?.path || userData?.editing || userData?.carryingBox;
+			});
+		if (busy) return;
+
+		const records = [];
+		const uids = new Set();
+		measurementComponents.forEach((measurementComponent) => {
+			const record = this._toSharedRecord(measurementComponent);
+			const serialized = JSON.stringify(record);
+			uids.add(record.uid);
+			if (this._known.get(record.uid) === serialized) return;
+			this._known.set(record.uid, serialized);
+			records.push(record);
+		});
+		// only the ones taken here are deleted for everyone, the others can be
+		// gone just because this headset dropped them
+		const removed = [];
+		this._known.forEach((serialized, uid) => {
+			if (uids.has(uid)) return;
+			this._known.delete(uid);
+			if (isOwnMeasurement(JSON.parse(serialized))) removed.push(uid);
+		});
+
+		if (records.length > 0) this._send({ type: 'upsert', records });
+		if (removed.length > 0) this._send({ type: 'remove', uids: removed });
+	}
+
+	_send(message) {
+		if (this._socket?.readyState !== WebSocket.OPEN) return;
+		this._socket.send(JSON.stringify(message));
+	}
+
+	/**
+	 * Serializes a measurement with its endpoints moved from the space of the
+	 * room's anchor into the space of the shared anchor.
+	 */
+	_toSharedRecord(measurementComponent) {
+		const record = toMeasurementRecord(measurementComponent);
+		['position1', 'position2'].forEach((key) => {
+			record[key] = this._vec3
+				.fromArray(record[key])
+				.applyMatrix4(this._inverse)
+				.toArray()
+				.map(roundCoordinate);
+		});
+		return record;
+	}
+
+	_resolveSharedAnchor(anchor) {
+		const stored = loadSharedAnchors()[anchor.anchorID];
+		if (!globals.simulator && !stored) return;
+		this._sharedAnchor = new Object3D();
+		if (!globals.simulator) {
+			this._sharedAnchor.position.fromArray(stored.position);
+			this._sharedAnchor.quaternion.fromArray(stored.quaternion);
+		}
+		anchor.add(this._sharedAnchor);
+		this._createAxes();
+	}
+
+	/**
+	 * Places the shared anchor on the marked corner, its X axis running
+	 * level towards the second point.
+	 */
+	_markSharedAnchor(origin, along) {
+		const direction = along.clone().sub(origin).setY(0);
+		if (direction.length() < MIN_DIRECTION_LENGTH) return false;
+		this._sharedAnchor?.removeFromParent();
+		this._sharedAnchor = new Object3D();
+		this._sharedAnchor.position.copy(origin);
+		this._sharedAnchor.rotation.set(
+			0,
+			Math.atan2(-direction.z, direction.x),
+			0,
+		);
+		this._sharedAnchor.updateMatrixWorld();
+		globals.anchor.attach(this._sharedAnchor);
+		this._createAxes();
+		// an anchor that could not be made persistent is gone next session
+		if (globals.anchor.isPersistent) {
+			saveSharedAnchor(globals.anchor.anchorID, this._sharedAnchor);
+		}
+		// the others are told about everything again, now in the new space
+		this._known.clear();
+		return true;
+	}
+
+	_createAxes() {
+		this._axes = new AxesHelper(0.1);
+		this._axes.visible = false;
+		this._sharedAnchor.add(this._axes);
+	}
+
+	_updateControllers() {
+		const { valueStore, controllers } = globals;
+		const active = valueStore.get('mode') === 'Share';
+		if (this._axes) this._axes.visible = active;
+		['left', 'right'].forEach((handedness) => {
+			const controller = controllers[handedness];
+			if (!controller?.userData.pointer) return;
+
+			const { userData, gamepad, raySpace } = controller;
+			if (!userData.shareText) {
+				const text = createControllerHint(raySpace);
+				userData.shareText = text;
+			}
+			userData.shareText.visible = active;
+			if (!active) return;
+
+			const hapticActuator = gamepad._gamepad.hapticActuators
+				? gamepad._gamepad.hapticActuators[0]
+				: null;
+			if (
+				gamepad.getButtonClick(XR_BUTTONS.BUTTON_1) &&
+				this._sharedAnchor &&
+				!globals.simulator
+			) {
+				this._sharedAnchor.removeFromParent();
+				this._sharedAnchor = null;
+				this._axes = null;
+				this._origin = null;
+				hapticActuator?.pulse(0.3, 50);
+			} else if (
+				gamepad.getButtonClick(XR_BUTTONS.TRIGGER) &&
+				!this._sharedAnchor
+			) {
+				const position = userData.pointer.getWorldPosition(new Vector3());
+				if (!this._origin) {
+					this._origin = position;
+					hapticActuator?.pulse(0.6, 100);
+				} else if (this._markSharedAnchor(this._origin, position)) {
+					this._origin = null;
+					hapticActuator?.pulse(0.6, 100);
+				} else {
+					hapticActuator?.pulse(0.2, 30);
+				}
+			}
+
+			let text;
+			if (!this.room) {
+				text = 'Type a shared session on the 2D page to share';
+			} else if (!globals.sharing) {
+				text = `Connecting to ${this.room}...`;
+			} else {
+				const others = this._peers.size;
+				text =
+					`${this.room}: ` +
+					(others === 0
+						? 'waiting for others'
+						: `with ${others} ${others === 1 ? 'other' : 'others'}`);
+			}
+			if (this._sharedAnchor) {
+				text += globals.simulator
+					? '\nShared anchor is the simulated room'
+					: '\nShared anchor set, BUTTON_1 to mark it again';
+			} else if (this._origin) {
+				text += '\nPull the trigger further along the same edge';
+			} else {
+				text += '\nPull the trigger on a corner everyone can point at';
+			}
+			if (userData.shareText.text !== text) {
+				userData.shareText.text = text;
+				userData.shareText.color = this.color ?? 0xffffff;
+				userData.shareText.sync();
+			}
+			userData.shareText.lookAt(globals.playerHead.position);
+		});
+	}
+}
+
+SharingSystem.queries = {
+	measurements: { required: [MeasurementComponent] },
+};
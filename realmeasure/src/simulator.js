@@ -0,0 +1,382 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+	BoxGeometry,
+	Color,
+	GridHelper,
+	Group,
+	MathUtils,
+	Matrix4,
+	Mesh,
+	MeshBasicMaterial,
+	Raycaster,
+	Vector2,
+	Vector3,
+} from 'three';
+import { GamepadWrapper, XR_AXES, XR_BUTTONS } from 'gamepad-wrapper';
+import {
+	MeasurementComponent,
+	isFinalized,
+	toMeasurementRecord,
+} from './measurement';
+import {
+	createVirtualGamepad,
+	setVirtualAxis,
+	setVirtualButton,
+} from './gamepad';
+
+import { System } from 'elics';
+import { globals } from './global';
+
+const SIMULATOR_PARAM = 'simulator';
+const SIMULATOR_PROFILE = 'simulator';
+const CHECKS_PARAM = 'checks';
+const EYE_HEIGHT = 1.6;
+const MOVE_SPEED = 1.5;
+const TURN_SPEED = Math.PI / 2;
+const MIN_DEPTH = 0.2;
+const MAX_DEPTH = 5;
+const INITIAL_DEPTH = 0.6;
+const BACKGROUND_COLOR = 0x303540;
+
+const MOUSE_BUTTONS = { 0: XR_BUTTONS.TRIGGER, 2: XR_BUTTONS.SQUEEZE };
+const KEY_BUTTONS = {
+	KeyX: XR_BUTTONS.BUTTON_1,
+	KeyZ: XR_BUTTONS.BUTTON_2,
+	KeyC: XR_BUTTONS.THUMBSTICK,
+};
+const CONTROLLER_GEOMETRY = new BoxGeometry(0.03, 0.03, 0.1).translate(
+	0,
+	0,
+	0.05,
+);
+
+/**
+ * Returns whether the page was opened with the simulator query parameter.
+ */
+export const isSimulatorRequested = () =>
+	new URLSearchParams(window.location.search).has(SIMULATOR_PARAM);
+
+/**
+ * Returns whether the simulator was opened to run its checks, with
+ * `?simulator&checks` in the URL.
+ */
+const areChecksRequested = () =>
+	new URLSearchParams(window.location.search).has(CHECKS_PARAM);
+
+/**
+ * SimulatorSystem stands in for a WebXR session on a flat screen, opened with
+ * `?simulator` in the URL. The mouse places the active virtual controller
+ * along the cursor ray, the wheel changes how far away, and its buttons are
+ * the trigger and squeeze. X, Z and C press BUTTON_1, BUTTON_2 and the
+ * thumbstick, the arrow keys tilt the thumbstick, and Tab swaps the active
+ * controller. WASD walks, R and F rise and sink, and IJKL look around. Escape
+ * ends and restarts the simulated session. It runs before PlayerSystem updates
+ * the gamepads so the presses are seen in the same frame.
+ *
+ * The same controls are scriptable from `window.realmeasureSimulator` for
+ * headless tests.
+ */
+export class SimulatorSystem extends System {
+	init() {
+		this._running = false;
+		this._requested = isSimulatorRequested();
+		this._activeHand = 'right';
+		this._depth = INITIAL_DEPTH;
+		this._yaw = 0;
+		this._pitch = 0;
+		this._keys = new Set();
+		this._mouse = null;
+		this._frameResolvers = [];
+		this._raycaster = new Raycaster();
+		this._matrix = new Matrix4();
+		this._up = new Vector3();
+		this._origin = new Vector3();
+		this._offset = new Vector3();
+		this._vec3 = new Vector3();
+		this._clearColor = new Color();
+
+		// stands in for the persistent anchor, measurements taken in the
+		// simulator are saved to a room of their own
+		this.anchor = new Group();
+		this.anchor.anchorID = SIMULATOR_PROFILE;
+		this.anchor.isPersistent = true;
+		this._grid = new GridHelper(10, 20, 0x888888, 0x555555);
+		if (!this._requested) return;
+
+		const { renderer } = globals;
+		renderer.domElement.addEventListener('mousemove', (event) => {
+			this._mouse = new Vector2(
+				(event.clientX / window.innerWidth) * 2 - 1,
+				-(event.clientY / window.innerHeight) * 2 + 1,
+			);
+		});
+		renderer.domElement.addEventListener('mousedown', (event) => {
+			if (MOUSE_BUTTONS[event.button]) {
+				this.setButton(this._activeHand, MOUSE_BUTTONS[event.button], true);
+			}
+		});
+		window.addEventListener('mouseup', (event) => {
+			if (MOUSE_BUTTONS[event.button]) {
+				this.setButton(this._activeHand, MOUSE_BUTTONS[event.button], false);
+			}
+		});
+		renderer.domElement.addEventListener('contextmenu', (event) => {
+			event.preventDefault();
+		});
+		renderer.domElement.addEventListener('wheel', (event) => {
+			this._depth = MathUtils.clamp(
+				this._depth * Math.pow(1.1, -Math.sign(event.deltaY)),
+				MIN_DEPTH,
+				MAX_DEPTH,
+			);
+		});
+		window.addEventListener('keydown', (event) => {
+			if (event.target instanceof HTMLInputElement) return;
+			if (event.code === 'Escape') {
+				if (this._running) {
+					this.stop();
+				} else {
+					this.start();
+				}
+			}
+			if (!this._running) return;
+			if (event.code === 'Tab') {
+				event.preventDefault();
+				this._releaseButtons(this._activeHand);
+				this._activeHand = this._activeHand === 'right' ? 'left' : 'right';
+			}
+			this._keys.add(event.code);
+			if (KEY_BUTTONS[event.code]) {
+				this.setButton(this._activeHand, KEY_BUTTONS[event.code], true);
+			}
+			this._updateThumbstick();
+		});
+		window.addEventListener('keyup', (event) => {
+			this._keys.delete(event.code);
+			if (KEY_BUTTONS[event.code]) {
+				this.setButton(this._activeHand, KEY_BUTTONS[event.code], false);
+			}
+			this._updateThumbstick();
+		});
+		window.realmeasureSimulator = this;
+	}
+
+	update(delta) {
+		if (this._requested) {
+			// the controllers can only be added once PlayerSystem is set up
+			this._requested = false;
+			this.start();
+			if (areChecksRequested()) {
+				// the checks are only loaded when asked for, so they stay out of
+				// the bundle everyone else downloads
+				import(/* webpackChunkName: "checks" */ './checks')
+					.then(({ runChecks }) => runChecks(this))
+					.catch((e) => {
+						console.warn('Failed to run the simulator checks:', e);
+					});
+			}
+		}
+		if (this._running) {
+			this._updateCamera(delta);
+			if (this._mouse) {
+				this._placeController(this._activeHand, this._mouse, this._depth);
+			}
+		}
+		const resolvers = this._frameResolvers;
+		this._frameResolvers = [];
+		resolvers.forEach((resolve) => resolve());
+	}
+
+	/**
+	 * Starts a simulated session with two virtual controllers held in front of
+	 * the camera, as if the headset had entered XR.
+	 */
+	start() {
+		if (this._running) return;
+		const { renderer, scene, camera, controllers } = globals;
+		this._running = true;
+		globals.simulator = this;
+		document.getElementById('ui-panel').style.display = 'none';
+		renderer.getClearColor(this._clearColor);
+		this._clearAlpha = renderer.getClearAlpha();
+		renderer.setClearColor(BACKGROUND_COLOR, 1);
+		scene.add(this.anchor, this._grid);
+
+		this._yaw = 0;
+		this._pitch = 0;
+		camera.position.set(0, EYE_HEIGHT, 0);
+		this._updateCamera(0);
+		['left', 'right'].forEach((handedness) => {
+			const raySpace = new Group();
+			raySpace.add(
+				new Mesh(
+					CONTROLLER_GEOMETRY,
+					new MeshBasicMaterial({
+						color: handedness === 'left' ? 0x6b8fd6 : 0xd6906b,
+					}),
+				),
+			);
+			const gripSpace = new Group();
+			scene.add(raySpace, gripSpace);
+			controllers[handedness] = {
+				raySpace,
+				gripSpace,
+				hand: null,
+				profile: SIMULATOR_PROFILE,
+				gamepad: new GamepadWrapper(createVirtualGamepad()),
+				userData: {},
+			};
+			this._placeController(
+				handedness,
+				new Vector2(handedness === 'left' ? -0.3 : 0.3, -0.3),
+				INITIAL_DEPTH,
+			);
+		});
+		renderer.xr.dispatchEvent({ type: 'sessionstart' });
+	}
+
+	/**
+	 * Ends the simulated session, which brings back the page with the exports
+	 * just like leaving XR does.
+	 */
+	stop() {
+		if (!this._running) return;
+		const { renderer, controllers } = globals;
+		renderer.xr.dispatchEvent({ type: 'sessionend' });
+		['left', 'right'].forEach((handedness) => {
+			controllers[handedness]?.pointerSpace?.removeFromParent();
+			controllers[handedness]?.raySpace.removeFromParent();
+			controllers[handedness]?.gripSpace.removeFromParent();
+			delete controllers[handedness];
+		});
+		this.anchor.removeFromParent();
+		this._grid.removeFromParent();
+		renderer.setClearColor(this._clearColor, this._clearAlpha);
+		document.getElementById('ui-panel').style.display = 'flex';
+		this._keys.clear();
+		this._mouse = null;
+		this._running = false;
+		globals.simulator = null;
+	}
+
+	/**
+	 * Moves a controller so its pointer sits on a point in world space, facing
+	 * away from the camera. The mouse takes over again once it moves.
+	 */
+	setPointer(handedness, position) {
+		this._mouse = null;
+		this._origin.copy(globals.camera.position);
+		this._vec3.fromArray(position);
+		this._poseController(handedness, this._vec3);
+	}
+
+	setButton(handedness, buttonId, pressed) {
+		const gamepad = globals.controllers[handedness]?.gamepad;
+		if (gamepad) setVirtualButton(gamepad, buttonId, pressed);
+	}
+
+	setThumbstick(handedness, x, y) {
+		const gamepad = globals.controllers[handedness]?.gamepad;
+		if (!gamepad) return;
+		setVirtualAxis(gamepad, XR_AXES.THUMBSTICK_X, x);
+		setVirtualAxis(gamepad, XR_AXES.THUMBSTICK_Y, y);
+	}
+
+	/**
+	 * Resolves after the next world update, so a press can be held for a frame.
+	 */
+	nextFrame() {
+		return new Promise((resolve) => this._frameResolvers.push(resolve));
+	}
+
+	/**
+	 * Returns the finished measurements in the format they are saved in.
+	 */
+	getMeasurements() {
+		return this.getEntities(this.queries.measurements)
+			.map((measurement) => measurement.getComponent(MeasurementComponent))
+			.filter(isFinalized)
+			.map((measurementComponent) => ({
+				...toMeasurementRecord(measurementComponent),
+				distance: measurementComponent.distance,
+			}));
+	}
+
+	_updateCamera(delta) {
+		const { camera, playerHead } = globals;
+		const key = (code) => (this._keys.has(code) ? 1 : 0);
+		this._yaw += (key('KeyJ') - key('KeyL')) * TURN_SPEED * delta;
+		this._pitch = MathUtils.clamp(
+			this._pitch + (key('KeyI') - key('KeyK')) * TURN_SPEED * delta,
+			-Math.PI / 2,
+			Math.PI / 2,
+		);
+		camera.rotation.set(this._pitch, this._yaw, 0, 'YXZ');
+
+		this._vec3
+			.set(key('KeyD') - key('KeyA'), 0, key('KeyS') - key('KeyW'))
+			.applyAxisAngle(this._up.set(0, 1, 0), this._yaw)
+			.multiplyScalar(MOVE_SPEED * delta);
+		this._vec3.y = (key('KeyR') - key('KeyF')) * MOVE_SPEED * delta;
+		camera.position.add(this._vec3);
+		camera.updateMatrixWorld();
+		playerHead.position.copy(camera.position);
+		playerHead.quaternion.copy(camera.quaternion);
+	}
+
+	_placeController(handedness, mouse, depth) {
+		this._raycaster.setFromCamera(mouse, globals.camera);
+		const { origin, direction } = this._raycaster.ray;
+		this._origin.copy(origin);
+		this._vec3.copy(origin).addScaledVector(direction, depth);
+		this._poseController(handedness, this._vec3);
+	}
+
+	/**
+	 * Points a controller along the ray from this._origin to the target and
+	 * offsets it so the pointer, not the controller, lands on the target.
+	 */
+	_poseController(handedness, target) {
+		const controller = globals.controllers[handedness];
+		if (!controller) return;
+		const { raySpace, pointerSpace } = controller;
+		this._up.set(0, 1, 0).applyQuaternion(globals.camera.quaternion);
+		this._matrix.lookAt(this._origin, target, this._up);
+		raySpace.quaternion.setFromRotationMatrix(this._matrix);
+		raySpace.position.copy(target);
+		if (pointerSpace) {
+			raySpace.position.sub(
+				this._offset
+					.copy(pointerSpace.position)
+					.applyQuaternion(raySpace.quaternion),
+			);
+		}
+		raySpace.updateMatrixWorld(true);
+	}
+
+	_updateThumbstick() {
+		const key = (code) => (this._keys.has(code) ? 1 : 0);
+		this.setThumbstick(
+			this._activeHand,
+			key('ArrowRight') - key('ArrowLeft'),
+			key('ArrowDown') - key('ArrowUp'),
+		);
+	}
+
+	_releaseButtons(handedness) {
+		[...Object.values(MOUSE_BUTTONS), ...Object.values(KEY_BUTTONS)].forEach(
+			(buttonId) => this.setButton(handedness, buttonId, false),
+		);
+		this.setThumbstick(handedness, 0, 0);
+	}
+}
+
+SimulatorSystem.queries = {
+	measurements: { required: [MeasurementComponent] },
+};
@@ -0,0 +1,54 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { Vector3 } from 'three';
+
+export const SNAP_AXES = {
+	Horizontal: 'horizontal',
+	Vertical: 'vertical',
+};
+
+export const SNAP_COLOR = 0x45bd63;
+
+const _vec3 = new Vector3();
+
+/**
+ * Returns whether a direction is closer to horizontal or vertical, together
+ * with the angle in radians it deviates from that axis.
+ */
+export const getAxisDeviation = (direction) => {
+	const horizontalDistance = Math.sqrt(
+		Math.pow(direction.x, 2) + Math.pow(direction.z, 2),
+	);
+	const verticalDistance = Math.abs(direction.y);
+	return horizontalDistance > verticalDistance
+		? {
+				axis: SNAP_AXES.Horizontal,
+				deviation: Math.atan2(verticalDistance, horizontalDistance),
+			}
+		: {
+				axis: SNAP_AXES.Vertical,
+				deviation: Math.atan2(horizontalDistance, verticalDistance),
+			};
+};
+
+/**
+ * Moves pointerPosition in place so that the segment from refPosition becomes
+ * horizontal or vertical, whichever it is closer to, and returns the axis used.
+ */
+export const snapToAxis = (pointerPosition, refPosition) => {
+	const { axis } = getAxisDeviation(
+		_vec3.subVectors(pointerPosition, refPosition),
+	);
+	if (axis === SNAP_AXES.Horizontal) {
+		pointerPosition.y = refPosition.y;
+	} else {
+		pointerPosition.x = refPosition.x;
+		pointerPosition.z = refPosition.z;
+	}
+	return axis;
+};
@@ -0,0 +1,209 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+	DIRECTIONS,
+	PANELS,
+	createPanelTarget,
+	followPanelTarget,
+	getNavigationGamepad,
+	getThumbstickDirection,
+	syncPanelTransform,
+} from './panel';
+import { FrontSide, Mesh, MeshBasicMaterial, PlaneGeometry } from 'three';
+import { MeasurementComponent, isFinalized } from './measurement';
+
+import { System } from 'elics';
+import { Text } from 'troika-three-text';
+import { formatDistance } from './units';
+import { globals } from './global';
+
+const VISIBLE_ROWS = 10;
+const ROW_HEIGHT = 0.06;
+const LIST_TOP = 0.33;
+const PANEL_MATERIAL = new MeshBasicMaterial({
+	color: 0x4a576c,
+	side: FrontSide,
+	transparent: true,
+	opacity: 0.95,
+});
+const CURSOR_MATERIAL = new MeshBasicMaterial({
+	color: 0x6b6a78,
+	side: FrontSide,
+});
+
+const createText = (fontSize, anchorX) => {
+	const text = new Text();
+	text.fontSize = fontSize;
+	text.anchorX = anchorX;
+	text.anchorY = 'top';
+	text.lineHeight = ROW_HEIGHT / fontSize;
+	text.color = 0xffffff;
+	return text;
+};
+
+/**
+ * StatisticsSystem shows the second panel of the thumbstick click cycle: a
+ * list of every finished measurement with its length, the total length, and
+ * the difference between two selected measurements. The thumbstick moves up
+ * and down the list, right selects the highlighted measurement, replacing the
+ * older selection once two are selected, and left clears the selection.
+ */
+export class StatisticsSystem extends System {
+	init() {
+		this._cursor = 0;
+		this._scroll = 0;
+		this._selection = [];
+		this._prevDirection = DIRECTIONS.None;
+		this._key = null;
+	}
+
+	update(delta) {
+		if (!this._panel) this._createPanel();
+
+		const wasVisible = this._panel.visible;
+		this._panel.visible = globals.openPanel === PANELS.Statistics;
+		if (this._panel.visible && !wasVisible) {
+			syncPanelTransform(this._panel, this._target);
+		}
+		followPanelTarget(this._panel, this._target, delta);
+		if (!this._panel.visible) return;
+
+		const measurementComponents = this.getEntities(this.queries.measurements)
+			.map((measurement) => measurement.getComponent(MeasurementComponent))
+			.filter(isFinalized)
+			.sort((a, b) => a.createdAt - b.createdAt || a.pathIndex - b.pathIndex);
+		const uids = measurementComponents.map(({ uid }) => uid);
+		this._selection = this._selection.filter((uid) => uids.includes(uid));
+		this._cursor = Math.min(
+			this._cursor,
+			Math.max(measurementComponents.length - 1, 0),
+		);
+
+		const gamepad = getNavigationGamepad();
+		const direction = getThumbstickDirection(gamepad);
+		if (direction !== DIRECTIONS.None && direction !== this._prevDirection) {
+			const hapticActuator = gamepad._gamepad.hapticActuators
+				? gamepad._gamepad.hapticActuators[0]
+				: null;
+			if (direction === DIRECTIONS.Up || direction === DIRECTIONS.Down) {
+				const count = Math.max(measurementComponents.length, 1);
+				this._cursor =
+					(direction === DIRECTIONS.Up
+						? this._cursor - 1 + count
+						: this._cursor + 1) % count;
+				hapticActuator?.pulse(0.2, 100);
+			} else if (direction === DIRECTIONS.Right) {
+				const uid = uids[this._cursor];
+				if (uid && !this._selection.includes(uid)) {
+					this._selection = [...this._selection, uid].slice(-2);
+				}
+				hapticActuator?.pulse(0.3, 50);
+			} else {
+				this._selection = [];
+				hapticActuator?.pulse(0.3, 50);
+			}
+		}
+		this._prevDirection = direction;
+
+		this._render(measurementComponents, uids);
+	}
+
+	_createPanel() {
+		this._panel = new Mesh(new PlaneGeometry(1, 1), PANEL_MATERIAL);
+		this._panel.scale.setScalar(0.6);
+		this._panel.visible = false;
+		globals.scene.add(this._panel);
+		this._target = createPanelTarget();
+
+		const title = createText(0.06, 'center');
+		title.text = 'Measurements';
+		title.fontWeight = 'bold';
+		title.position.set(0, 0.46, 0.001);
+		title.sync();
+		this._cursorBar = new Mesh(
+			new PlaneGeometry(0.92, ROW_HEIGHT),
+			CURSOR_MATERIAL,
+		);
+		this._names = createText(0.04, 'left');
+		this._names.position.set(-0.44, LIST_TOP, 0.002);
+		this._distances = createText(0.04, 'right');
+		this._distances.position.set(0.44, LIST_TOP, 0.002);
+		this._summary = createText(0.04, 'left');
+		this._summary.position.set(-0.44, -0.31, 0.002);
+		this._panel.add(
+			title,
+			this._cursorBar,
+			this._names,
+			this._distances,
+			this._summary,
+		);
+	}
+
+	_render(measurementComponents, uids) {
+		const { valueStore } = globals;
+		const unit = valueStore.get('unit');
+		const precision = valueStore.get('precision');
+		const format = (distance) => formatDistance(distance, unit, precision);
+
+		if (this._cursor < this._scroll) this._scroll = this._cursor;
+		if (this._cursor >= this._scroll + VISIBLE_ROWS) {
+			this._scroll = this._cursor - VISIBLE_ROWS + 1;
+		}
+		const rows = measurementComponents.slice(
+			this._scroll,
+			this._scroll + VISIBLE_ROWS,
+		);
+		const names = rows.map((measurementComponent, i) => {
+			const index = this._scroll + i;
+			const selection = this._selection.indexOf(measurementComponent.uid);
+			const marker = selection >= 0 ? ['A', 'B'][selection] : ' ';
+			return `${marker} ${index + 1}. ${measurementComponent.label ?? 'Measurement'}`;
+		});
+		const distances = rows.map(({ distance }) => format(distance));
+
+		const total = measurementComponents.reduce(
+			(sum, { distance }) => sum + distance,
+			0,
+		);
+		const summary = [
+			`Count ${measurementComponents.length}   Total ${format(total)}`,
+		];
+		const selected = this._selection.map(
+			(uid) => measurementComponents[uids.indexOf(uid)],
+		);
+		if (selected.length === 2) {
+			const difference = selected[0].distance - selected[1].distance;
+			summary.push(
+				`A - B ${difference < 0 ? '-' : ''}${format(Math.abs(difference))}`,
+			);
+		} else {
+			summary.push('Right to select two, left to clear');
+		}
+
+		const key = [...names, ...distances, ...summary].join('|');
+		if (key !== this._key) {
+			this._key = key;
+			this._names.text = names.join('\n') || 'No measurements yet';
+			this._names.sync();
+			this._distances.text = distances.join('\n');
+			this._distances.sync();
+			this._summary.text = summary.join('\n');
+			this._summary.sync();
+		}
+		this._cursorBar.visible = rows.length > 0;
+		this._cursorBar.position.set(
+			0,
+			LIST_TOP - (this._cursor - this._scroll + 0.5) * ROW_HEIGHT,
+			0.001,
+		);
+	}
+}
+
+StatisticsSystem.queries = {
+	measurements: { required: [MeasurementComponent] },
+};
@@ -0,0 +1,274 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+	DoubleSide,
+	Plane,
+	Quaternion,
+	Raycaster,
+	Triangle,
+	Vector3,
+} from 'three';
+
+import { globals } from './global';
+
+const _vec3 = new Vector3();
+const _quat = new Quaternion();
+const _plane = new Plane();
+const _triangle = new Triangle();
+const _closest = new Vector3();
+const _meshPoint = new Vector3();
+const _raycaster = new Raycaster();
+
+// room mesh triangles are bucketed into cells this size, so finding the
+// closest point only tests the triangles around the position
+const MESH_CELL_SIZE = 0.1;
+const meshGrids = new WeakMap();
+
+const getCell = (value) => Math.floor(value / MESH_CELL_SIZE);
+
+/**
+ * Returns the triangles of a room mesh geometry bucketed by the grid cells
+ * their bounds overlap in mesh space, built once per geometry as ratk
+ * replaces the geometry whenever a mesh changes.
+ */
+const getMeshGrid = (geometry) => {
+	let grid = meshGrids.get(geometry);
+	if (grid) return grid;
+	grid = new Map();
+	const positions = geometry.attributes.position;
+	const index = geometry.index;
+	for (let i = 0; i < index.count; i += 3) {
+		_triangle.setFromAttributeAndIndices(
+			positions,
+			index.getX(i),
+			index.getX(i + 1),
+			index.getX(i + 2),
+		);
+		const { a, b, c } = _triangle;
+		const maxX = getCell(Math.max(a.x, b.x, c.x));
+		const maxY = getCell(Math.max(a.y, b.y, c.y));
+		const maxZ = getCell(Math.max(a.z, b.z, c.z));
+		for (let x = getCell(Math.min(a.x, b.x, c.x)); x <= maxX; x++) {
+			for (let y = getCell(Math.min(a.y, b.y, c.y)); y <= maxY; y++) {
+				for (let z = getCell(Math.min(a.z, b.z, c.z)); z <= maxZ; z++) {
+					const key = `${x},${y},${z}`;
+					if (!grid.has(key)) grid.set(key, []);
+					grid.get(key).push(i);
+				}
+			}
+		}
+	}
+	meshGrids.set(geometry, grid);
+	return grid;
+};
+
+/**
+ * Collects the triangles of the cells a sphere around a mesh space position
+ * overlaps, each triangle once.
+ */
+const getNearbyTriangles = (geometry, position, radius) => {
+	const grid = getMeshGrid(geometry);
+	const triangles = new Set();
+	const maxX = getCell(position.x + radius);
+	const maxY = getCell(position.y + radius);
+	const maxZ = getCell(position.z + radius);
+	for (let x = getCell(position.x - radius); x <= maxX; x++) {
+		for (let y = getCell(position.y - radius); y <= maxY; y++) {
+			for (let z = getCell(position.z - radius); z <= maxZ; z++) {
+				grid.get(`${x},${y},${z}`)?.forEach((i) => triangles.add(i));
+			}
+		}
+	}
+	return triangles;
+};
+
+/**
+ * Finds the detected plane closest to a world position, only considering
+ * planes within maxDistance whose bounds the position falls inside of.
+ */
+export const findNearestPlane = (position, maxDistance) => {
+	let nearestPlane = null;
+	let nearestDistance = maxDistance;
+	globals.ratk.planes.forEach((plane) => {
+		plane.updateWorldMatrix(true, false);
+		plane.worldToLocal(_vec3.copy(position));
+		const distance = Math.abs(_vec3.y);
+		if (
+			distance < nearestDistance &&
+			Math.abs(_vec3.x) < plane.boundingRectangleWidth / 2 + maxDistance &&
+			Math.abs(_vec3.z) < plane.boundingRectangleHeight / 2 + maxDistance
+		) {
+			nearestPlane = plane;
+			nearestDistance = distance;
+		}
+	});
+	return nearestPlane;
+};
+
+/**
+ * Writes the world space surface of a detected plane into target; ratk planes
+ * lie in their local XZ plane with the normal along local +Y.
+ */
+export const getPlaneSurface = (plane, target = new Plane()) => {
+	plane.updateWorldMatrix(true, false);
+	plane.getWorldQuaternion(_quat);
+	plane.getWorldPosition(_vec3);
+	return target.setFromNormalAndCoplanarPoint(
+		new Vector3(0, 1, 0).applyQuaternion(_quat),
+		_vec3,
+	);
+};
+
+/**
+ * Finds the floor under a world position: the plane the headset recognized as
+ * the floor, or else the lowest upward facing plane below the position.
+ */
+export const findFloorPlane = (position) => {
+	let floorPlane = null;
+	let floorHeight = -Infinity;
+	globals.ratk.planes.forEach((plane) => {
+		if (plane.orientation !== 'horizontal') return;
+		getPlaneSurface(plane, _plane);
+		const height = _plane.distanceToPoint(position);
+		if (_plane.normal.y < 0.9 || height < 0) return;
+		if (plane.semanticLabel?.toLowerCase() === 'floor') {
+			floorPlane = plane;
+			floorHeight = Infinity;
+		} else if (height > floorHeight) {
+			floorPlane = plane;
+			floorHeight = height;
+		}
+	});
+	return floorPlane;
+};
+
+/**
+ * Finds the vertical plane with the shortest perpendicular distance to a
+ * world position, walls being the vertical planes of a room.
+ */
+export const findNearestWallPlane = (position) => {
+	let nearestPlane = null;
+	let nearestDistance = Infinity;
+	globals.ratk.planes.forEach((plane) => {
+		if (plane.orientation !== 'vertical') return;
+		const distance = Math.abs(
+			getPlaneSurface(plane, _plane).distanceToPoint(position),
+		);
+		if (distance < nearestDistance) {
+			nearestPlane = plane;
+			nearestDistance = distance;
+		}
+	});
+	return nearestPlane;
+};
+
+/**
+ * Writes the closest point on any detected room mesh into target and returns
+ * its distance, or null when no mesh surface is within maxDistance.
+ */
+export const findNearestMeshPoint = (position, maxDistance, target) => {
+	let nearestDistance = maxDistance;
+	let found = false;
+	globals.ratk.meshes.forEach(({ meshMesh }) => {
+		if (!meshMesh) return;
+		const { geometry } = meshMesh;
+		meshMesh.updateWorldMatrix(true, false);
+		// room meshes are only ever rotated and translated, so distances in
+		// mesh space are the same as in world space
+		meshMesh.worldToLocal(_vec3.copy(position));
+		if (!geometry.boundingBox) geometry.computeBoundingBox();
+		if (geometry.boundingBox.distanceToPoint(_vec3) > nearestDistance) return;
+		const positions = geometry.attributes.position;
+		const index = geometry.index;
+		getNearbyTriangles(geometry, _vec3, nearestDistance).forEach((i) => {
+			_triangle.setFromAttributeAndIndices(
+				positions,
+				index.getX(i),
+				index.getX(i + 1),
+				index.getX(i + 2),
+			);
+			const { a, b, c } = _triangle;
+			if (
+				Math.min(a.x, b.x, c.x) > _vec3.x + nearestDistance ||
+				Math.max(a.x, b.x, c.x) < _vec3.x - nearestDistance ||
+				Math.min(a.y, b.y, c.y) > _vec3.y + nearestDistance ||
+				Math.max(a.y, b.y, c.y) < _vec3.y - nearestDistance ||
+				Math.min(a.z, b.z, c.z) > _vec3.z + nearestDistance ||
+				Math.max(a.z, b.z, c.z) < _vec3.z - nearestDistance
+			) {
+				return;
+			}
+			_triangle.closestPointToPoint(_vec3, _closest);
+			const distance = _closest.distanceTo(_vec3);
+			if (distance < nearestDistance) {
+				nearestDistance = distance;
+				target.copy(_closest).applyMatrix4(meshMesh.matrixWorld);
+				found = true;
+			}
+		});
+	});
+	return found ? nearestDistance : null;
+};
+
+/**
+ * Writes the closest point on a detected plane or room mesh into target and
+ * returns whether one was found within maxDistance.
+ */
+export const snapToSurface = (position, maxDistance, target) => {
+	let nearestDistance = maxDistance;
+	let found = false;
+	const plane = findNearestPlane(position, maxDistance);
+	if (plane) {
+		getPlaneSurface(plane, _plane).projectPoint(position, target);
+		nearestDistance = target.distanceTo(position);
+		found = true;
+	}
+	if (findNearestMeshPoint(position, nearestDistance, _meshPoint) !== null) {
+		target.copy(_meshPoint);
+		found = true;
+	}
+	return found;
+};
+
+/**
+ * Casts a ray from a world position against the vertical planes only,
+ * returning the closest wall hit or null.
+ */
+export const raycastWalls = (origin, direction, maxDistance) => {
+	const targets = [];
+	globals.ratk.planes.forEach(({ planeMesh, orientation }) => {
+		if (planeMesh && orientation === 'vertical') targets.push(planeMesh);
+	});
+	targets.forEach((target) => {
+		target.material.side = DoubleSide;
+	});
+	_raycaster.set(origin, direction);
+	_raycaster.far = maxDistance;
+	return _raycaster.intersectObjects(targets, false)[0] ?? null;
+};
+
+/**
+ * Casts a ray along an XR controller's target ray against the detected planes
+ * and room meshes, returning the closest intersection or null.
+ */
+export const raycastSurfaces = (raySpace, maxDistance) => {
+	const targets = [];
+	globals.ratk.planes.forEach(({ planeMesh }) => {
+		if (planeMesh) targets.push(planeMesh);
+	});
+	globals.ratk.meshes.forEach(({ meshMesh }) => {
+		if (meshMesh) targets.push(meshMesh);
+	});
+	targets.forEach((target) => {
+		// surfaces are never rendered, so they can be hit from either side
+		target.material.side = DoubleSide;
+	});
+	_raycaster.setFromXRController(raySpace);
+	_raycaster.far = maxDistance;
+	return _raycaster.intersectObjects(targets, false)[0] ?? null;
+};
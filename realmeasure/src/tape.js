@@ -11,12 +11,9 @@ import { System } from 'elics';
 import { Vector3 } from 'three';
 import { XR_BUTTONS } from 'gamepad-wrapper';
 import { globals } from './global';
+import { snapToAxis } from './snap';
 
 export class TapeSystem extends System {
-	init() {
-		this._vec3 = new Vector3();
-	}
-
 	update() {
 		const { valueStore, controllers } = globals;
 		if (valueStore.get('mode') === 'Tape') {
@@ -26,7 +23,7 @@ export class TapeSystem extends System {
 
 				const { userData, gamepad } = controller;
 
-				if (!gamepad) return;
+				if (!gamepad || userData.editing) return;
 
 				if (gamepad.getButtonClick(XR_BUTTONS.TRIGGER)) {
 					if (userData.attachedMeasurement) {
@@ -62,21 +59,13 @@ export class TapeSystem extends System {
 							measurementComponent.marker1
 						) {
 							measurementComponent.snap = true;
-							const marker1Position = measurementComponent.marker1.position;
-							this._vec3.subVectors(pointerPosition, marker1Position);
-							const horizontalDistance = Math.sqrt(
-								Math.pow(this._vec3.x, 2) + Math.pow(this._vec3.z, 2),
+							measurementComponent.snapAxis = snapToAxis(
+								pointerPosition,
+								measurementComponent.marker1.position,
 							);
-							if (horizontalDistance > Math.abs(this._vec3.y)) {
-								// snap to horizontal
-								pointerPosition.y = marker1Position.y;
-							} else {
-								// snap to vertical
-								pointerPosition.x = marker1Position.x;
-								pointerPosition.z = marker1Position.z;
-							}
 						} else {
 							measurementComponent.snap = false;
+							measurementComponent.snapAxis = null;
 						}
 						measurementComponent.position2 = pointerPosition;
 					}
@@ -0,0 +1,79 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+	LENGTH_NUMBER_PATTERN,
+	LENGTH_UNIT_PATTERN,
+	parseLength,
+} from './units';
+
+import { SNAP_COLOR } from './snap';
+
+const DEFAULT_TOLERANCE = 0.005;
+// beyond the tolerance but within this many times of it counts as close
+const CLOSE_FACTOR = 2;
+
+const TARGET_PATTERN = new RegExp(
+	`^${LENGTH_NUMBER_PATTERN}\\s*${LENGTH_UNIT_PATTERN}\\s*` +
+		`(?:(?:±|\\+/-|\\+-)\\s*${LENGTH_NUMBER_PATTERN}\\s*${LENGTH_UNIT_PATTERN})?$`,
+	'i',
+);
+
+export const TARGET_STATUS = {
+	Within: 'within',
+	Close: 'close',
+	Outside: 'outside',
+};
+
+export const TARGET_COLORS = {
+	[TARGET_STATUS.Within]: SNAP_COLOR,
+	[TARGET_STATUS.Close]: 0xf5a623,
+	[TARGET_STATUS.Outside]: 0xe5484d,
+};
+
+/**
+ * Parses a target length with an optional tolerance into meters, e.g.
+ * "80 cm ± 0.5" or "31.5 in", which gets a 5 mm tolerance. Numbers without a
+ * unit are read in the unit of the number before them, or else the display
+ * unit.
+ */
+export const parseTarget = (text, unit) => {
+	const match = TARGET_PATTERN.exec(text.trim());
+	if (!match) return null;
+	const [, targetValue, targetUnit, toleranceValue, toleranceUnit] = match;
+	const target = parseLength(targetValue, targetUnit, unit);
+	const tolerance = toleranceValue
+		? parseLength(toleranceValue, toleranceUnit ?? targetUnit, unit)
+		: DEFAULT_TOLERANCE;
+	return target > 0 ? { target, tolerance } : null;
+};
+
+/**
+ * Reads the target typed on the 2D page, applied to new measurements while
+ * the Target setting is on.
+ */
+export const readTargetInput = (unit) =>
+	parseTarget(document.getElementById('target-input')?.value ?? '', unit);
+
+export const getTargetStatus = (distance, target, tolerance) => {
+	const deviation = Math.abs(distance - target);
+	if (deviation <= tolerance) return TARGET_STATUS.Within;
+	if (deviation <= tolerance * CLOSE_FACTOR) return TARGET_STATUS.Close;
+	return TARGET_STATUS.Outside;
+};
+
+/**
+ * Plays two short pulses, set apart from the single pulses used elsewhere, to
+ * tell a measurement came within tolerance.
+ */
+export const pulseWithinTolerance = (gamepad) => {
+	const hapticActuator = gamepad._gamepad.hapticActuators
+		? gamepad._gamepad.hapticActuators[0]
+		: null;
+	hapticActuator?.pulse(0.8, 50);
+	setTimeout(() => hapticActuator?.pulse(0.8, 50), 120);
+};
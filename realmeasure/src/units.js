@@ -0,0 +1,165 @@
+/**
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+export const CM_PER_INCH = 2.54;
+export const SQ_FEET_PER_SQ_METER = 10.7639;
+export const SQ_YARDS_PER_SQ_METER = 1.19599;
+export const CU_FEET_PER_CU_METER = 35.3147;
+export const CU_YARDS_PER_CU_METER = 1.30795;
+
+const METRIC_SIZES = {
+	areaScale: 1,
+	areaSuffix: ' m²',
+	volumeScale: 1,
+	volumeSuffix: ' m³',
+};
+const IMPERIAL_SIZES = {
+	areaScale: SQ_FEET_PER_SQ_METER,
+	areaSuffix: ' ft²',
+	volumeScale: CU_FEET_PER_CU_METER,
+	volumeSuffix: ' ft³',
+};
+
+/**
+ * Display units keyed by their setting value. Distances are converted with
+ * scale, and each precision level maps to a number of decimals, or for
+ * feet-inches to the denominator of the smallest inch fraction shown.
+ */
+export const UNITS = {
+	cm: {
+		scale: 100,
+		suffix: ' cm',
+		precision: { Low: 0, Medium: 1, High: 2 },
+		...METRIC_SIZES,
+	},
+	mm: {
+		scale: 1000,
+		suffix: ' mm',
+		precision: { Low: 0, Medium: 1, High: 2 },
+		...METRIC_SIZES,
+	},
+	m: {
+		scale: 1,
+		suffix: ' m',
+		precision: { Low: 2, Medium: 3, High: 4 },
+		...METRIC_SIZES,
+	},
+	in: {
+		scale: 100 / CM_PER_INCH,
+		suffix: ' in',
+		precision: { Low: 0, Medium: 1, High: 2 },
+		...IMPERIAL_SIZES,
+	},
+	'ft-in': {
+		scale: 100 / CM_PER_INCH,
+		fractional: true,
+		precision: { Low: 4, Medium: 8, High: 16 },
+		...IMPERIAL_SIZES,
+	},
+	yd: {
+		scale: 100 / CM_PER_INCH / 36,
+		suffix: ' yd',
+		precision: { Low: 2, Medium: 3, High: 4 },
+		areaScale: SQ_YARDS_PER_SQ_METER,
+		areaSuffix: ' yd²',
+		volumeScale: CU_YARDS_PER_CU_METER,
+		volumeSuffix: ' yd³',
+	},
+};
+
+export const UNIT_OPTIONS = Object.keys(UNITS);
+
+// units that typed lengths can be given in, with their scale from meters
+const LENGTH_UNIT_SCALES = {
+	mm: 1000,
+	cm: 100,
+	m: 1,
+	in: 100 / CM_PER_INCH,
+	'"': 100 / CM_PER_INCH,
+	ft: 100 / CM_PER_INCH / 12,
+	"'": 100 / CM_PER_INCH / 12,
+	yd: 100 / CM_PER_INCH / 36,
+};
+
+export const LENGTH_NUMBER_PATTERN = '(\\d+(?:[.,]\\d+)?)';
+export const LENGTH_UNIT_PATTERN = `(${Object.keys(LENGTH_UNIT_SCALES).join('|')})?`;
+
+/**
+ * Converts a typed number with an optional unit into meters, falling back to
+ * the given display unit when there is none. Commas are read as decimal
+ * points.
+ */
+export const parseLength = (value, lengthUnit, unit) => {
+	const scale =
+		LENGTH_UNIT_SCALES[lengthUnit?.toLowerCase()] ??
+		(UNITS[unit] ?? UNITS.cm).scale;
+	return Number(value.replace(',', '.')) / scale;
+};
+
+export const PRECISION_OPTIONS = ['Low', 'Medium', 'High'];
+
+export const DEFAULT_PRECISION = 'Medium';
+
+export const toCentimeters = (distance) => distance * 100;
+
+export const toInches = (distance) => (distance * 100) / CM_PER_INCH;
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+/**
+ * Formats inches as feet, whole inches and a reduced fraction rounded to the
+ * nearest 1/denominator, e.g. 5' 3 7/16".
+ */
+export const formatFeetInches = (inches, denominator) => {
+	const totalFractions = Math.round(inches * denominator);
+	const feet = Math.floor(totalFractions / (12 * denominator));
+	const remainder = totalFractions - feet * 12 * denominator;
+	const wholeInches = Math.floor(remainder / denominator);
+	const numerator = remainder % denominator;
+	const inchParts = [];
+	if (wholeInches > 0 || numerator === 0) inchParts.push(wholeInches);
+	if (numerator > 0) {
+		const divisor = gcd(numerator, denominator);
+		inchParts.push(`${numerator / divisor}/${denominator / divisor}`);
+	}
+	const inchText = inchParts.join(' ');
+	return feet > 0 ? `${feet}' ${inchText}"` : `${inchText}"`;
+};
+
+/**
+ * Formats a distance in meters for display in the given unit and precision
+ * settings.
+ */
+export const formatDistance = (
+	distance,
+	unit,
+	precision = DEFAULT_PRECISION,
+) => {
+	const unitConfig = UNITS[unit] ?? UNITS.cm;
+	const digits =
+		unitConfig.precision[precision] ?? unitConfig.precision[DEFAULT_PRECISION];
+	if (unitConfig.fractional) {
+		return formatFeetInches(distance * unitConfig.scale, digits);
+	}
+	return (distance * unitConfig.scale).toFixed(digits) + unitConfig.suffix;
+};
+
+/**
+ * Formats an area in square meters for display in the given unit setting.
+ */
+export const formatArea = (area, unit) => {
+	const unitConfig = UNITS[unit] ?? UNITS.cm;
+	return (area * unitConfig.areaScale).toFixed(2) + unitConfig.areaSuffix;
+};
+
+/**
+ * Formats a volume in cubic meters for display in the given unit setting.
+ */
+export const formatVolume = (volume, unit) => {
+	const unitConfig = UNITS[unit] ?? UNITS.cm;
+	return (volume * unitConfig.volumeScale).toFixed(3) + unitConfig.volumeSuffix;
+};
@@ -28,6 +28,14 @@ module.exports = {
 		server: 'https',
 		compress: true,
 		port: 8081,
+		// the local relay for shared sessions, see relay/server.mjs
+		proxy: [
+			{
+				context: ['/relay'],
+				target: 'ws://localhost:8082',
+				ws: true,
+			},
+		],
 	},
 	output: {
 		filename: '[name].bundle.js',